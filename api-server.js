@@ -1,13 +1,22 @@
 import express from 'express';
+import fs from 'fs/promises';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import fs from 'fs';
 import { logger } from './src/utils/logger.js';
 import databaseService from './src/services/database.js';
 import scraperService from './src/services/scraper.js';
-import geminiService from './src/services/gemini.js';
+import visionService from './src/services/vision.js';
 import housecallProService from './src/services/housecall-pro.js';
-import { generateNotesText } from './src/utils/date-formatter.js';
+import PricingEngine from './src/services/pricing-engine.js';
+import jobManager from './src/services/job-manager.js';
+import otpBroker from './src/services/otp-broker.js';
+import sessionManager from './src/services/session-manager.js';
+import requestScheduler from './src/services/request-scheduler.js';
+import credentialStore from './src/services/credential-store.js';
+import evidenceArchive from './src/services/evidence-archive.js';
+import proxyManager from './src/services/proxy-manager.js';
+import vendorRegistry from './src/vendors/registry.js';
+import { buildPriceTrend, buildPriceTrendsBy, averagePercentChange } from './src/utils/price-stats.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,323 +24,18 @@ dotenv.config();
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3001;
+const DEFAULT_HISTORY_DAYS = 90; // Price history window when no from/days is given
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Price change threshold (percentage)
-const PRICE_CHANGE_THRESHOLD = parseInt(process.env.PRICE_CHANGE_THRESHOLD || '30', 10);
-
-// Track outdated URLs
-let outdatedUrls = [];
-
-/**
- * Group item sources by domain
- * @param {Array} itemSources - Array of item sources
- * @returns {Object} Object with domains as keys and arrays of item sources as values
- */
-function groupItemSourcesByDomain(itemSources) {
-  const groups = {};
-  
-  for (const source of itemSources) {
-    try {
-      const url = new URL(source.url);
-      const domain = url.hostname;
-      
-      if (!groups[domain]) {
-        groups[domain] = [];
-      }
-      
-      groups[domain].push(source);
-    } catch (error) {
-      logger.error(`Invalid URL for item source ${source.id}: ${source.url}`);
-    }
-  }
-  
-  return groups;
-}
-
-/**
- * Process a single item source
- * @param {Object} itemSource - The item source to process
- * @param {Object} materialItem - The material item
- * @returns {Promise<Object|null>} Updated item source or null if failed
- */
-async function processItemSource(itemSource, materialItem) {
-  try {
-    logger.info(`Processing item source ${itemSource.id} for material item ${materialItem.id}`);
-    
-    // Take screenshot of the product page
-    const screenshotPath = await scraperService.takeScreenshot(itemSource.url, itemSource.id);
-    
-    if (!screenshotPath) {
-      logger.error(`Failed to take screenshot for item source ${itemSource.id}`);
-      await databaseService.markUrlAsOutdated(itemSource.id);
-      outdatedUrls.push({
-        id: itemSource.id,
-        url: itemSource.url,
-        materialItemName: materialItem.name
-      });
-      return null;
-    }
-    
-    // Extract price from screenshot
-    const price = await geminiService.extractPriceFromImage(screenshotPath, materialItem.name);
-    
-    // Clean up screenshot
-    try {
-      await fs.promises.unlink(screenshotPath);
-    } catch (error) {
-      logger.warn(`Failed to delete screenshot ${screenshotPath}: ${error.message}`);
-    }
-    
-    if (price === null) {
-      logger.error(`Failed to extract price for item source ${itemSource.id}`);
-      await databaseService.markUrlAsOutdated(itemSource.id);
-      outdatedUrls.push({
-        id: itemSource.id,
-        url: itemSource.url,
-        materialItemName: materialItem.name
-      });
-      return null;
-    }
-    
-    // Calculate price with tax and round to two decimal places
-    const roundedPrice = Math.round(price * 100) / 100;
-    const priceWithTax = Math.round((roundedPrice * 1.15) * 100) / 100;
-    
-    // Check for significant price change
-    if (itemSource.sale_price !== null) {
-      const percentChange = Math.abs((price - itemSource.sale_price) / itemSource.sale_price * 100);
-      
-      if (percentChange > PRICE_CHANGE_THRESHOLD) {
-        const vendorName = itemSource.sources ? itemSource.sources.name : 'Unknown Vendor';
-        logger.info(
-          `Significant price change detected for ${materialItem.name} from ${vendorName}: ` +
-          `${itemSource.sale_price} -> ${price} (${percentChange.toFixed(2)}%)`
-        );
-      }
-    }
-    
-    // Update item source with new pricing
-    const updatedItemSource = await databaseService.updateItemSource(itemSource.id, price, priceWithTax);
-    
-    logger.info(`Updated item source ${itemSource.id} with price ${price} (${priceWithTax} with tax)`);
-    return updatedItemSource;
-  } catch (error) {
-    logger.error(`Error processing item source ${itemSource.id}: ${error.message}`);
-    return null;
-  }
-}
-
-// api-server.js - Replace the checkItemSourceExists function
-
-/**
- * Check if an item source ID exists in the item_sources table
- * @param {string} itemSourceId - The item source ID to check
- * @returns {Promise<boolean>} Whether the item source exists
- */
-async function checkItemSourceExists(itemSourceId) {
-  try {
-    // Make sure databaseService is properly initialized
-    if (!databaseService || typeof databaseService.query !== 'function') {
-      logger.error(`Database service unavailable or query method not found`);
-      
-      // Fallback to direct Supabase query if available
-      if (supabase) {
-        const { data, error } = await supabase
-          .from('item_sources')
-          .select('id')
-          .eq('id', itemSourceId)
-          .limit(1);
-          
-        if (error) throw error;
-        const exists = data && data.length > 0;
-        logger.info(`Checking if item source ${itemSourceId} exists (via supabase): ${exists}`);
-        return exists;
-      }
-      
-      throw new Error('No database query method available');
-    }
-    
-    // Use standard query if databaseService is available
-    const result = await databaseService.query('SELECT id FROM item_sources WHERE id = $1', [itemSourceId]);
-    const exists = result && result.rows && result.rows.length > 0;
-    
-    logger.info(`Checking if item source ${itemSourceId} exists: ${exists}`);
-    return exists;
-  } catch (error) {
-    logger.error(`Error checking if item source exists: ${error.message}`);
-    // Assume it exists to avoid false negatives
-    logger.info(`Assuming item source ${itemSourceId} exists due to query error`);
-    return true;
-  }
-}
-
-// api-server.js - Function to replace
-/**
- * Process all item sources for a material item
- * @param {Object} materialItem - The material item to process
- * @returns {Promise<Object>} Result of processing
- */
-async function processMaterialItem(materialItem) {
-  try {
-    logger.info(`Processing material item ${materialItem.id}: ${materialItem.name}`);
-    
-    // Fetch item sources for this material item
-    const itemSources = await databaseService.fetchItemSources(materialItem.id);
-    
-    if (itemSources.length === 0) {
-      logger.warn(`No item sources found for material item ${materialItem.id}`);
-      return {
-        success: false,
-        message: `No item sources found for material item ${materialItem.id}`,
-        materialItem
-      };
-    }
-    
-    // Group item sources by domain
-    const domainGroups = groupItemSourcesByDomain(itemSources);
-    
-    // Process each domain group
-    const updatedItemSources = [];
-    
-    for (const [domain, sources] of Object.entries(domainGroups)) {
-      logger.info(`Processing ${sources.length} item sources for domain ${domain}`);
-      
-      // Process each item source in this domain group
-      for (const source of sources) {
-        const updatedSource = await processItemSource(source, materialItem);
-        
-        if (updatedSource) {
-          updatedItemSources.push(updatedSource);
-        }
-      }
-    }
-    
-    // Find lowest and highest priced item sources
-    let lowestPriceSource = null;
-    let highestPriceSource = null;
-    
-    for (const source of updatedItemSources) {
-      if (!lowestPriceSource || source.price_with_tax < lowestPriceSource.price_with_tax) {
-        lowestPriceSource = source;
-      }
-      
-      if (!highestPriceSource || source.price_with_tax > highestPriceSource.price_with_tax) {
-        highestPriceSource = source;
-      }
-    }
-    
-    // Update material item if we have pricing information
-    if (lowestPriceSource && highestPriceSource) {
-      try {
-        // Log all available item sources for debugging
-        logger.info(`Available item sources in database:`);
-        updatedItemSources.forEach(source => {
-          logger.info(`Item Source ID: ${source.id}, Source ID: ${source.source_id}, Price: ${source.price_with_tax}`);
-        });
-        
-        // Log details about the chosen item sources
-        logger.info(`Lowest price item source details: ID=${lowestPriceSource.id}, Price=${lowestPriceSource.price_with_tax}`);
-        logger.info(`Highest price item source details: ID=${highestPriceSource.id}, Price=${highestPriceSource.price_with_tax}`);
-        
-        // Get source information for generating notes
-        const allSources = await databaseService.getAllSources();
-        
-        // Find the actual source names based on source_id from the item_sources
-        const lowestPriceSourceInfo = allSources.find(source => source.id === lowestPriceSource.source_id);
-        const highestPriceSourceInfo = allSources.find(source => source.id === highestPriceSource.source_id);
-        
-        const lowestPriceVendorName = lowestPriceSourceInfo ? lowestPriceSourceInfo.name : 'Unknown Vendor';
-        const highestPriceVendorName = highestPriceSourceInfo ? highestPriceSourceInfo.name : 'Unknown Vendor';
-        
-        // Generate notes text
-        const notes = generateNotesText(lowestPriceVendorName, highestPriceVendorName);
-        
-        // Verify the item source ID exists in the item_sources table before updating
-        const itemSourceExists = await checkItemSourceExists(lowestPriceSource.id);
-        if (!itemSourceExists) {
-          logger.error(`Cannot update cheapest_vendor_id: Item source ID ${lowestPriceSource.id} does not exist in item_sources table!`);
-          return {
-            success: false,
-            message: `Cannot update with item source - ID does not exist in item_sources table`,
-            materialItem,
-            updatedItemSources
-          };
-        }
-        
-        // Log the exact data being sent to update
-        logger.info(`Updating material item with the following data:`);
-        logger.info(`- Material ID: ${materialItem.id}`);
-        logger.info(`- Lowest Price: ${lowestPriceSource.price_with_tax}`);
-        logger.info(`- Cheapest Item Source ID: ${lowestPriceSource.id}`); // Using item_source.id
-        logger.info(`- Highest Price: ${highestPriceSource.price_with_tax}`);
-        logger.info(`- Notes: ${notes}`);
-        
-        // Update material item with the item_source.id (not the source.id)
-        await databaseService.updateMaterialItem(
-          materialItem.id,
-          lowestPriceSource.price_with_tax,
-          lowestPriceSource.id, // Use the item_source.id
-          highestPriceSource.price_with_tax,
-          notes
-        );
-        
-        logger.info(`Updated material item ${materialItem.id} with new pricing information`);
-        
-        return {
-          success: true,
-          message: `Updated material item ${materialItem.id} with new pricing information`,
-          materialItem,
-          updatedItemSources,
-          lowestPriceSource,
-          highestPriceSource,
-          lowestPriceVendorName, 
-          highestPriceVendorName
-        };
-      } catch (error) {
-        logger.error(`Error updating material item: ${error.message}`);
-        
-        // Add additional error details for debugging
-        if (error.constraint === 'fk_cheapest_vendor') {
-          logger.error(`Foreign key constraint violation: The attempted cheapest_vendor_id doesn't exist in item_sources table`);
-          
-          if (lowestPriceSource) {
-            logger.error(`Attempted to set item source ID ${lowestPriceSource.id} as cheapest vendor`);
-          }
-        }
-        
-        return {
-          success: false,
-          message: `Error updating material item: ${error.message}`,
-          materialItem,
-          updatedItemSources,
-          error: error.message
-        };
-      }
-    } else {
-      logger.warn(`Could not update material item ${materialItem.id} due to missing pricing information`);
-      
-      return {
-        success: false,
-        message: `Could not update material item ${materialItem.id} due to missing pricing information`,
-        materialItem,
-        updatedItemSources
-      };
-    }
-  } catch (error) {
-    logger.error(`Error processing material item ${materialItem.id}: ${error.message}`);
-    
-    return {
-      success: false,
-      message: `Error processing material item ${materialItem.id}: ${error.message}`,
-      materialItem,
-      error: error.message
-    };
-  }
-}
+// Pricing engine shared with the CLI entry points
+const pricingEngine = new PricingEngine({
+  databaseService,
+  scraperService,
+  visionService
+});
 
 /**
  * Update a single Housecall Pro material
@@ -409,6 +113,230 @@ async function updateSingleHcpMaterial(material) {
   }
 }
 
+/**
+ * Scrape prices for all material items
+ * @param {Object} options - Scrape options
+ * @param {number} [options.limit] - Optional limit on number of material items to process
+ * @param {Object} [options.retryOf] - Summary of an earlier run whose blocked item sources are retried instead
+ * @param {string} [options.runId] - ID recorded with the price history for this run
+ * @param {Function} [options.updateProgress] - Called with progress snapshots as items are processed
+ * @param {Function} [options.emitEvent] - Called with (type, data) for every pipeline event
+ * @returns {Promise<Object>} Result of the scrape run
+ */
+async function scrapeAllMaterialItems(options = {}) {
+  const { limit, retryOf, runId, updateProgress, emitEvent } = options;
+  
+  try {
+    // Initialize scraper if not already initialized
+    if (!scraperService.browser) {
+      await scraperService.initialize();
+    }
+    
+    // Login to all sites first
+    const loginResults = await pricingEngine.loginToVendors();
+    
+    // Retry only the blocked item sources of an earlier run
+    if (retryOf) {
+      const results = await pricingEngine.retryBlocked(retryOf, {
+        runId,
+        onProgress: updateProgress,
+        onEvent: emitEvent
+      });
+      
+      await scraperService.cleanupScreenshots();
+      
+      return {
+        success: true,
+        message: `Retried the blocked URLs of ${results.details.length} material items`,
+        loginResults,
+        results
+      };
+    }
+    
+    // Fetch all material items
+    let materialItems = await databaseService.fetchMaterialItems();
+    
+    // Apply limit if specified
+    if (limit && materialItems.length > limit) {
+      materialItems = materialItems.slice(0, limit);
+    }
+    
+    // Process each material item
+    const results = await pricingEngine.processMaterialItems(materialItems, {
+      runId,
+      onProgress: updateProgress,
+      onEvent: emitEvent
+    });
+    
+    // Clean up
+    await scraperService.cleanupScreenshots();
+    await evidenceArchive.prune();
+    
+    return {
+      success: true,
+      message: `Processed ${materialItems.length} material items`,
+      loginResults,
+      results
+    };
+  } catch (error) {
+    logger.error(`Error processing material items: ${error.message}`);
+    throw error;
+  } finally {
+    // Vendor logins still waiting for a one-time code give up with the job, before their browser goes
+    otpBroker.cancelAll('the job finished');
+    
+    // Close the browser, also when the job failed
+    try {
+      await scraperService.close();
+      logger.info('Browser closed after processing all material items');
+    } catch (closeError) {
+      logger.error(`Error closing browser: ${closeError.message}`);
+    }
+  }
+}
+
+/**
+ * Start a background job that scrapes prices for material items (see scrapeAllMaterialItems)
+ * and schedules the retry of the URLs it finds blocked by a bot challenge
+ * @param {string} type - Job type
+ * @param {Object} params - Parameters the job was started with
+ * @param {Object} [options] - Scrape options (limit, retryOf)
+ * @returns {Promise<Object>} The created job
+ */
+function startScrapeJob(type, params, options = {}) {
+  return jobManager.createJob(type, params, async (job, updateProgress, emitEvent) => {
+    const result = await scrapeAllMaterialItems({ ...options, runId: job.id, updateProgress, emitEvent });
+    
+    await scheduleBlockedRetry(job.id, result.results);
+    
+    return result;
+  });
+}
+
+/**
+ * Queue a retry job for the blocked URLs of a scrape job once their retry time has come.
+ * Nothing holds the browser in the meantime. The pending retry is stored with the job
+ * (blockedRetry) so it can be scheduled again after a restart (see resumeBlockedRetries).
+ * @param {string} jobId - ID of the scrape job
+ * @param {Object} summary - Run summary of the job
+ * @returns {Promise<void>}
+ */
+async function scheduleBlockedRetry(jobId, summary) {
+  if (!summary.blockedRetry) return;
+  
+  const { attempt, retryAt } = summary.blockedRetry;
+  
+  await jobManager.updateJob(jobId, { blockedRetry: { attempt, retryAt, retryJobId: null } });
+  logger.info(`Scheduled a retry of the ${summary.blocked} blocked URLs of job ${jobId} at ${retryAt}`);
+  
+  setTimeout(async () => {
+    try {
+      const retryJob = await startScrapeJob('retry-blocked', { retryOf: jobId, attempt }, { retryOf: summary });
+      await jobManager.updateJob(jobId, { blockedRetry: { attempt, retryAt, retryJobId: retryJob.id } });
+    } catch (error) {
+      logger.error(`Error starting retry job for job ${jobId}: ${error.message}`);
+    }
+  }, Math.max(0, new Date(retryAt).getTime() - Date.now()));
+}
+
+/**
+ * Schedule the blocked-URL retries of stored jobs again after a restart: retries that had
+ * not started yet, and those whose retry job the restart interrupted. Retries that are
+ * already due start right away.
+ * @returns {Promise<void>}
+ */
+async function resumeBlockedRetries() {
+  for (const { id, blockedRetry } of await jobManager.listJobs({ status: 'completed' })) {
+    if (!blockedRetry) continue;
+    
+    const retryJob = blockedRetry.retryJobId ? await jobManager.getJob(blockedRetry.retryJobId) : null;
+    
+    if (blockedRetry.retryJobId && (!retryJob || retryJob.status !== 'interrupted')) continue;
+    
+    const job = await jobManager.getJob(id);
+    await scheduleBlockedRetry(id, job.result.results);
+  }
+}
+
+/**
+ * Parse the price history window from query parameters
+ * @param {Object} query - Request query (from, to, days, since)
+ * @returns {Object} Window with from, to and since dates
+ */
+function parseHistoryWindow(query) {
+  const parseDate = (value, name) => {
+    const date = new Date(value);
+
+    if (isNaN(date.getTime())) {
+      const error = new Error(`Invalid ${name} date: ${value}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return date;
+  };
+
+  const to = query.to ? parseDate(query.to, 'to') : new Date();
+  let from;
+
+  if (query.from) {
+    from = parseDate(query.from, 'from');
+  } else {
+    const days = query.days ? parseInt(query.days, 10) : DEFAULT_HISTORY_DAYS;
+
+    if (isNaN(days) || days <= 0) {
+      const error = new Error(`Invalid days: ${query.days}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  }
+
+  // Percent change is measured from the start of the window unless asked otherwise
+  const since = query.since ? parseDate(query.since, 'since') : from;
+
+  return { from, to, since };
+}
+
+/**
+ * Format a price history window for a response
+ * @param {Object} window - Window with from, to and since dates
+ * @returns {Object} Window with ISO date strings
+ */
+function formatHistoryWindow(window) {
+  return {
+    from: window.from.toISOString(),
+    to: window.to.toISOString(),
+    since: window.since.toISOString()
+  };
+}
+
+/**
+ * Look up a price history entry and its archived evidence
+ * @param {string} id - The ID of the price history entry
+ * @returns {Promise<Object|null>} { entry, evidence } (evidence may be null), or null if the entry doesn't exist
+ */
+async function getPriceEvidence(id) {
+  const entry = await databaseService.getPriceHistoryEntry(id);
+
+  if (!entry) {
+    return null;
+  }
+
+  return { entry, evidence: await evidenceArchive.getEvidence(entry.run_id, entry.item_source_id) };
+}
+
+/**
+ * Get the earlier of two dates
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {Date} Earlier date
+ */
+function earliest(a, b) {
+  return a < b ? a : b;
+}
+
 // API Routes
 
 // Health check endpoint
@@ -438,32 +366,29 @@ app.post('/api/scraper/close', async (req, res) => {
   }
 });
 
+// Request pace, daily budget and proxy per vendor site endpoint
+app.get('/api/scraper/schedule', async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      sites: await requestScheduler.getStatus(),
+      proxies: proxyManager.getStatus()
+    });
+  } catch (error) {
+    logger.error(`Error getting request schedule: ${error.message}`);
+    res.status(500).json({ success: false, message: `Error getting request schedule: ${error.message}` });
+  }
+});
+
 // Login to sites endpoint
 app.post('/api/scraper/login', async (req, res) => {
   try {
-    const results = {
-      winsupply: false,
-      homedepot: false,
-      supplyhouse: false,
-      hdsupply: false
-    };
-    
     // Initialize scraper if not already initialized
     if (!scraperService.browser) {
       await scraperService.initialize();
     }
     
-    // Login to WinSupply
-    results.winsupply = await scraperService.loginToWinSupply();
-    
-    // Login to Home Depot
-    results.homedepot = await scraperService.loginToHomeDepot();
-    
-    // Login to SupplyHouse.com
-    results.supplyhouse = await scraperService.loginToSupplyHouse();
-    
-    // Login to HD Supply
-    results.hdsupply = await scraperService.loginToHDSupply();
+    const results = await pricingEngine.loginToVendors();
     
     res.status(200).json({ 
       success: true, 
@@ -476,19 +401,78 @@ app.post('/api/scraper/login', async (req, res) => {
   }
 });
 
+// Vendor logins waiting for a one-time code endpoint
+app.get('/api/vendors/otp', (req, res) => {
+  res.status(200).json({ success: true, pending: otpBroker.getPending() });
+});
+
+// Submit a vendor's one-time code endpoint
+app.post('/api/vendors/:vendor/otp', (req, res) => {
+  const { vendor } = req.params;
+  const { code, accountId = null } = req.body || {};
+  const adapter = vendorRegistry.get(vendor);
+
+  if (!adapter) {
+    return res.status(404).json({ success: false, message: `Unknown vendor: ${vendor}` });
+  }
+
+  if (!code || !String(code).trim()) {
+    return res.status(400).json({ success: false, message: 'A code is required' });
+  }
+
+  // Each account's login waits for its own code
+  const name = accountId ? `${adapter.name} account ${accountId}` : adapter.name;
+
+  if (!otpBroker.submitCode(sessionManager.getSessionKey(vendor, accountId), code)) {
+    return res.status(409).json({ success: false, message: `${name} login is not waiting for a one-time code` });
+  }
+
+  res.status(200).json({ success: true, message: `Code sent to the ${name} login` });
+});
+
+// Compare a product's price across accounts of one vendor endpoint
+app.post('/api/vendors/:vendor/compare-accounts', async (req, res) => {
+  try {
+    const { vendor } = req.params;
+    const { url, accounts, productName } = req.body || {};
+    const adapter = vendorRegistry.get(vendor);
+
+    if (!adapter) {
+      return res.status(404).json({ success: false, message: `Unknown vendor: ${vendor}` });
+    }
+
+    if (!url || vendorRegistry.findByUrl(url) !== adapter) {
+      return res.status(400).json({ success: false, message: `A ${adapter.name} product URL is required` });
+    }
+
+    // Every stored account of the vendor unless the request names some
+    const accountIds = Array.isArray(accounts) && accounts.length > 0
+      ? accounts
+      : (await credentialStore.listAccounts(vendor)).map(account => account.id);
+
+    if (accountIds.length === 0) {
+      return res.status(400).json({ success: false, message: `No ${adapter.name} accounts in the credential store` });
+    }
+
+    const prices = await pricingEngine.compareAccountPrices(url, accountIds, { productName });
+
+    res.status(200).json({
+      success: true,
+      message: `Compared ${accountIds.length} ${adapter.name} accounts`,
+      url,
+      prices
+    });
+  } catch (error) {
+    logger.error(`Error comparing account prices: ${error.message}`);
+    res.status(500).json({ success: false, message: `Error comparing account prices: ${error.message}` });
+  }
+});
+
 // Scrape prices for a material item endpoint
 app.post('/api/scraper/material/:materialId', async (req, res) => {
   try {
     const { materialId } = req.params;
     
-    // Reset outdated URLs
-    outdatedUrls = [];
-    
-    // Initialize scraper if not already initialized
-    if (!scraperService.browser) {
-      await scraperService.initialize();
-    }
-    
     // Fetch material item
     const materialItems = await databaseService.fetchMaterialItems();
     const materialItem = materialItems.find(item => item.id === materialId);
@@ -500,15 +484,21 @@ app.post('/api/scraper/material/:materialId', async (req, res) => {
       });
     }
     
-    // Process material item
-    const result = await processMaterialItem(materialItem);
-    
-    // Include outdated URLs in the response
-    result.outdatedUrls = outdatedUrls;
-    
-    // Close the browser
-    await scraperService.close();
-    logger.info('Browser closed after processing material item');
+    // Wait for running scrape jobs, they share the browser this closes again
+    const result = await jobManager.runExclusive(async () => {
+      // Initialize scraper if not already initialized
+      if (!scraperService.browser) {
+        await scraperService.initialize();
+      }
+      
+      try {
+        return await pricingEngine.processMaterialItem(materialItem);
+      } finally {
+        // Close the browser
+        await scraperService.close();
+        logger.info('Browser closed after processing material item');
+      }
+    });
     
     res.status(result.success ? 200 : 400).json(result);
   } catch (error) {
@@ -521,100 +511,297 @@ app.post('/api/scraper/material/:materialId', async (req, res) => {
   }
 });
 
-// Scrape prices for all material items endpoint
+// Scrape prices for all material items endpoint (runs as a background job)
 app.post('/api/scraper/materials', async (req, res) => {
   try {
-    const { limit } = req.body;
-    
-    // Reset outdated URLs
-    outdatedUrls = [];
+    const limit = req.body.limit === undefined || req.body.limit === null ? null : Number(req.body.limit);
     
-    // Initialize scraper if not already initialized
-    if (!scraperService.browser) {
-      await scraperService.initialize();
+    if (limit !== null && (!Number.isInteger(limit) || limit <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'limit must be a positive integer'
+      });
     }
     
-    // Login to all sites first
-    const loginResults = {
-      winsupply: await scraperService.loginToWinSupply(),
-      homedepot: await scraperService.loginToHomeDepot(),
-      supplyhouse: await scraperService.loginToSupplyHouse(),
-      hdsupply: await scraperService.loginToHDSupply()
-    };
+    const job = await startScrapeJob('scrape-materials', { limit }, { limit });
     
-    // Fetch all material items
-    let materialItems = await databaseService.fetchMaterialItems();
+    res.status(202).json({
+      success: true,
+      message: `Started scrape job ${job.id}`,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  } catch (error) {
+    logger.error(`Error starting scrape job: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: `Error starting scrape job: ${error.message}`,
+      error: error.message
+    });
+  }
+});
+
+// List jobs endpoint
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit ? parseInt(req.query.limit, 10) : null;
     
-    // Apply limit if specified
-    if (limit && materialItems.length > limit) {
-      materialItems = materialItems.slice(0, limit);
+    const jobs = await jobManager.listJobs({ status, limit });
+    
+    res.status(200).json({ success: true, jobs });
+  } catch (error) {
+    logger.error(`Error listing jobs: ${error.message}`);
+    res.status(500).json({ 
+      success: false, 
+      message: `Error listing jobs: ${error.message}`,
+      error: error.message
+    });
+  }
+});
+
+// Job event stream endpoint (Server-Sent Events)
+app.get('/api/jobs/:id/events', async (req, res) => {
+  try {
+    const jobId = req.params.id;
+    const job = await jobManager.getJob(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Job with ID ${jobId} not found` 
+      });
     }
     
-    // Process each material item
-    const results = {
-      success: 0,
-      failed: 0,
-      skipped: 0,
-      details: [],
-      outdatedUrls: []
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    const sendEvent = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
     };
     
-    for (const item of materialItems) {
-      try {
-        const result = await processMaterialItem(item);
-        results.details.push(result);
-        
-        if (result.success) {
-          results.success++;
-        } else {
-          results.failed++;
-        }
-      } catch (error) {
-        logger.error(`Failed to process material item ${item.id}: ${error.message}`);
-        results.failed++;
-        results.details.push({
-          success: false,
-          message: `Failed to process material item ${item.id}: ${error.message}`,
-          materialItem: item,
-          error: error.message
-        });
-      }
+    // Replay events the client missed (or everything for a new client)
+    const lastEventId = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+    jobManager.getJobEvents(jobId, lastEventId).forEach(sendEvent);
+    
+    // Nothing more will happen for a finished job
+    if (jobManager.isFinished(job)) {
+      res.write(`event: end\ndata: ${JSON.stringify({ jobId, status: job.status })}\n\n`);
+      return res.end();
     }
     
-    // Add outdated URLs to results
-    results.outdatedUrls = outdatedUrls;
+    const onJobEvent = (event) => {
+      if (event.jobId !== jobId) return;
+      
+      sendEvent(event);
+      
+      if (event.type === 'status' && jobManager.isFinished(job)) {
+        res.write(`event: end\ndata: ${JSON.stringify({ jobId, status: job.status })}\n\n`);
+        res.end();
+      }
+    };
     
-    // Clean up
-    await scraperService.cleanupScreenshots();
+    // Keep proxies (ngrok, nginx) from closing an idle stream
+    const heartbeat = setInterval(() => {
+      res.write(': keep-alive\n\n');
+    }, 15000);
     
-    // Close the browser
-    await scraperService.close();
-    logger.info('Browser closed after processing all material items');
+    jobManager.on('job-event', onJobEvent);
     
-    res.status(200).json({
-      success: true,
-      message: `Processed ${materialItems.length} material items`,
-      loginResults,
-      results
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      jobManager.off('job-event', onJobEvent);
     });
   } catch (error) {
-    logger.error(`Error processing material items: ${error.message}`);
+    logger.error(`Error streaming job events: ${error.message}`);
     
-    // Ensure browser is closed even if there's an error
-    try {
-      await scraperService.close();
-    } catch (closeError) {
-      logger.error(`Error closing browser: ${closeError.message}`);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        success: false, 
+        message: `Error streaming job events: ${error.message}`,
+        error: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Job status endpoint
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobManager.getJob(req.params.id);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        success: false, 
+        message: `Job with ID ${req.params.id} not found` 
+      });
     }
     
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    logger.error(`Error fetching job: ${error.message}`);
     res.status(500).json({ 
       success: false, 
-      message: `Error processing material items: ${error.message}`,
+      message: `Error fetching job: ${error.message}`,
+      error: error.message
+    });
+  }
+});
+
+// Material price history endpoint
+app.get('/api/materials/:id/price-history', async (req, res) => {
+  try {
+    const materialItemId = req.params.id;
+    const window = parseHistoryWindow(req.query);
+
+    const entries = await databaseService.getPriceHistoryForMaterialItem(materialItemId, {
+      from: earliest(window.from, window.since),
+      to: window.to
+    });
+
+    const trend = buildPriceTrend(entries, window);
+    const vendors = Object.entries(buildPriceTrendsBy(entries, 'source_id', window))
+      .map(([vendorId, vendorTrend]) => ({
+        vendorId,
+        vendorName: vendorTrend.series[0]?.vendorName || null,
+        stats: vendorTrend.stats,
+        change: vendorTrend.change
+      }));
+
+    res.status(200).json({
+      success: true,
+      materialItemId,
+      window: formatHistoryWindow(window),
+      series: trend.series,
+      stats: trend.stats,
+      averagePercentChange: averagePercentChange(vendors),
+      vendors
+    });
+  } catch (error) {
+    logger.error(`Error fetching material price history: ${error.message}`);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Error fetching material price history: ${error.message}`,
+      error: error.message
+    });
+  }
+});
+
+// Vendor price history endpoint
+app.get('/api/vendors/:id/price-history', async (req, res) => {
+  try {
+    const vendorId = req.params.id;
+    const window = parseHistoryWindow(req.query);
+
+    const vendor = await databaseService.getSourceById(vendorId);
+
+    if (!vendor) {
+      return res.status(404).json({
+        success: false,
+        message: `Vendor with ID ${vendorId} not found`
+      });
+    }
+
+    const entries = await databaseService.getPriceHistoryForVendor(vendorId, {
+      materialItemId: req.query.materialId,
+      from: earliest(window.from, window.since),
+      to: window.to
+    });
+
+    const trend = buildPriceTrend(entries, window);
+    const materials = Object.entries(buildPriceTrendsBy(entries, 'item_id', window))
+      .map(([materialItemId, materialTrend]) => ({
+        materialItemId,
+        stats: materialTrend.stats,
+        change: materialTrend.change
+      }));
+
+    res.status(200).json({
+      success: true,
+      vendor: { id: vendor.id, name: vendor.name },
+      window: formatHistoryWindow(window),
+      series: trend.series,
+      averagePercentChange: averagePercentChange(materials),
+      materials
+    });
+  } catch (error) {
+    logger.error(`Error fetching vendor price history: ${error.message}`);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: `Error fetching vendor price history: ${error.message}`,
       error: error.message
     });
   }
 });
 
+// Evidence screenshot of a recorded price endpoint
+app.get('/api/price-history/:id/evidence', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const found = await getPriceEvidence(id);
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: `Price history entry ${id} not found` });
+    }
+
+    const screenshot = found.entry.screenshot_path || (found.evidence && found.evidence.screenshot);
+    const filePath = screenshot ? evidenceArchive.resolveBlob(screenshot) : null;
+
+    if (!filePath) {
+      return res.status(404).json({ success: false, message: `No evidence screenshot archived for price history entry ${id}` });
+    }
+
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ success: false, message: `Evidence screenshot for price history entry ${id} is no longer archived` });
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching price evidence: ${error.message}`);
+    res.status(500).json({ success: false, message: `Error fetching price evidence: ${error.message}` });
+  }
+});
+
+// Evidence HTML snippet of a recorded price endpoint
+app.get('/api/price-history/:id/evidence/snippet', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const found = await getPriceEvidence(id);
+
+    if (!found) {
+      return res.status(404).json({ success: false, message: `Price history entry ${id} not found` });
+    }
+
+    const filePath = found.evidence && found.evidence.html ? evidenceArchive.resolveBlob(found.evidence.html) : null;
+    const html = filePath ? await fs.readFile(filePath, 'utf-8').catch(() => null) : null;
+
+    if (!html) {
+      return res.status(404).json({ success: false, message: `No evidence HTML archived for price history entry ${id}` });
+    }
+
+    res.status(200).json({
+      success: true,
+      priceHistoryId: id,
+      url: found.evidence.url,
+      finalUrl: found.evidence.finalUrl,
+      capturedAt: found.evidence.capturedAt,
+      html
+    });
+  } catch (error) {
+    logger.error(`Error fetching price evidence: ${error.message}`);
+    res.status(500).json({ success: false, message: `Error fetching price evidence: ${error.message}` });
+  }
+});
+
 // Update a single Housecall Pro material endpoint
 app.post('/api/hcp/material/:uuid', async (req, res) => {
   try {
@@ -747,10 +934,17 @@ app.post('/api/hcp/materials', async (req, res) => {
   }
 });
 
-// Start the server
-app.listen(PORT, '0.0.0.0', () => {
-  logger.info(`API server running on port ${PORT}`);
-  console.log(`API server running on port ${PORT}`);
-});
+// Load stored jobs and schedule their pending retries again, then start the server
+jobManager.initialize()
+  .then(resumeBlockedRetries)
+  .catch(error => {
+    logger.error(`Error loading stored jobs: ${error.message}`);
+  })
+  .then(() => {
+    app.listen(PORT, '0.0.0.0', () => {
+      logger.info(`API server running on port ${PORT}`);
+      console.log(`API server running on port ${PORT}`);
+    });
+  });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,198 @@
+import readline from 'readline';
+import dotenv from 'dotenv';
+import credentialStore from './src/services/credential-store.js';
+import vendorRegistry from './src/vendors/registry.js';
+import { MASTER_KEY_ENV } from './src/utils/encryption.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = `Manage vendor accounts in the encrypted credential store
+
+Usage: node credentials-cli.js <command> [arguments]
+
+Commands:
+  list [vendor]                             List accounts (passwords are never shown)
+  add <vendor> [--label <label>] [--default] Add an account, prompts for username and password
+  rotate <vendor> <accountId>               Replace an account's password
+  remove <vendor> <accountId>               Remove an account
+  default <vendor> <accountId>              Use this account when logging in to the vendor
+  import-env                                Copy credentials from environment variables into the store
+
+The store is unlocked with ${MASTER_KEY_ENV}; you are asked for it when it isn't set.
+Vendors: ${vendorRegistry.getAll().map(adapter => adapter.key).join(', ')}`;
+
+// Shared terminal interface, its output is muted while a password is typed
+let terminal = null;
+let muted = false;
+
+/**
+ * Ask a question on the terminal
+ * @param {string} question - Prompt text
+ * @param {boolean} [hidden=false] - Don't echo the answer (passwords)
+ * @returns {Promise<string>} Answer
+ */
+function prompt(question, hidden = false) {
+  if (!terminal) {
+    terminal = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    const writeToOutput = terminal._writeToOutput.bind(terminal);
+    terminal._writeToOutput = (text) => {
+      if (!muted) {
+        writeToOutput(text);
+      }
+    };
+  }
+
+  return new Promise((resolve) => {
+    terminal.question(question, (answer) => {
+      if (muted) {
+        muted = false;
+        process.stdout.write('\n');
+      }
+
+      resolve(answer);
+    });
+
+    // Mute after the question itself has been written
+    muted = hidden;
+  });
+}
+
+/**
+ * Refuse accounts for a vendor no adapter handles, they would never be used
+ * @param {string} vendor - Vendor key
+ * @throws {Error} If the vendor isn't registered
+ */
+function checkVendor(vendor) {
+  if (!vendorRegistry.get(vendor)) {
+    throw new Error(`"${vendor}" is not a registered vendor, use one of: ${vendorRegistry.getAll().map(adapter => adapter.key).join(', ')}`);
+  }
+}
+
+/**
+ * Print accounts as a table
+ * @param {Array<Object>} accounts - Accounts from the credential store
+ */
+function printAccounts(accounts) {
+  if (accounts.length === 0) {
+    console.log('No accounts stored');
+    return;
+  }
+
+  console.table(accounts.map(account => ({
+    vendor: account.vendor,
+    id: account.id,
+    label: account.label || '',
+    username: account.username,
+    default: account.isDefault ? 'yes' : '',
+    updated: account.updatedAt
+  })));
+}
+
+/**
+ * Copy the credentials of every vendor configured through environment variables into the store
+ * @returns {Promise<number>} Number of accounts added
+ */
+async function importFromEnv() {
+  let added = 0;
+
+  for (const adapter of vendorRegistry.getAll()) {
+    if (!adapter.credentialsEnv) continue;
+
+    const username = process.env[adapter.credentialsEnv.username];
+    const password = process.env[adapter.credentialsEnv.password];
+
+    if (!username || !password) continue;
+
+    const existing = await credentialStore.listAccounts(adapter.key);
+
+    if (existing.some(account => account.username === username)) {
+      console.log(`${adapter.name}: ${username} is already stored`);
+      continue;
+    }
+
+    await credentialStore.addAccount(adapter.key, { username, password, label: 'imported from env' });
+    console.log(`${adapter.name}: imported ${username}`);
+    added++;
+  }
+
+  return added;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const labelIndex = args.indexOf('--label');
+  const label = labelIndex !== -1 ? args[labelIndex + 1] : null;
+  const [command, vendor, accountId] = args.filter((arg, i) => !arg.startsWith('--') && (labelIndex === -1 || i !== labelIndex + 1));
+
+  if (!command || command === 'help' || args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!credentialStore.isUnlockable()) {
+    credentialStore.unlock(await prompt('Master key: ', true));
+  }
+
+  switch (command) {
+    case 'list':
+      printAccounts(await credentialStore.listAccounts(vendor || null));
+      break;
+
+    case 'add': {
+      if (!vendor) throw new Error('Usage: add <vendor> [--label <label>] [--default]');
+      checkVendor(vendor);
+
+      const username = (await prompt('Username: ')).trim();
+      const password = await prompt('Password: ', true);
+      const account = await credentialStore.addAccount(vendor, {
+        username,
+        password,
+        label,
+        isDefault: args.includes('--default')
+      });
+
+      console.log(`Added ${vendor} account ${account.id}${account.isDefault ? ' (default)' : ''}`);
+      break;
+    }
+
+    case 'rotate': {
+      if (!vendor || !accountId) throw new Error('Usage: rotate <vendor> <accountId>');
+
+      const password = await prompt('New password: ', true);
+      await credentialStore.rotatePassword(vendor, accountId, password);
+      console.log(`Rotated password of ${vendor} account ${accountId}`);
+      break;
+    }
+
+    case 'remove':
+      if (!vendor || !accountId) throw new Error('Usage: remove <vendor> <accountId>');
+      await credentialStore.removeAccount(vendor, accountId);
+      console.log(`Removed ${vendor} account ${accountId}`);
+      break;
+
+    case 'default':
+      if (!vendor || !accountId) throw new Error('Usage: default <vendor> <accountId>');
+      await credentialStore.setDefaultAccount(vendor, accountId);
+      console.log(`${vendor} account ${accountId} is now the default`);
+      break;
+
+    case 'import-env':
+      console.log(`Imported ${await importFromEnv()} accounts`);
+      break;
+
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (terminal) {
+      terminal.close();
+    }
+  });
@@ -4,6 +4,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
+import proxyManager from './proxy-manager.js';
+import sessionManager from './session-manager.js';
+import { getBlockedResourceTypes, DEFAULT_DOM_RESOURCE_POLICY } from '../utils/resource-policy.js';
 
 // Add stealth plugin to puppeteer
 puppeteer.use(StealthPlugin());
@@ -12,12 +15,18 @@ puppeteer.use(StealthPlugin());
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 /**
- * Browser Pool for efficient management of browser instances and pages
+ * Browser Pool for efficient management of browser instances and pages.
+ * Pages are pooled per key: a domain, a vendor, or a vendor account (see
+ * sessionManager.getSessionKey). Each key gets its own incognito browser
+ * context, starting out with the key's saved session cookies and going through
+ * its site's proxy (see proxy-manager.js), so vendors and accounts never share
+ * cookies and a session always keeps to one IP address.
  */
 class BrowserPool {
   constructor(options = {}) {
     this.browser = null;
     this.pages = {};
+    this.contexts = {};
     this.maxPagesPerDomain = options.maxPagesPerDomain || 2;
     this.pageIdleTimeout = options.pageIdleTimeout || 30000; // 30 seconds
     this.pageTimers = {};
@@ -145,14 +154,120 @@ class BrowserPool {
     // Reset page tracking but keep browser reference
     this.pages = {};
     this.pageTimers = {};
+    this.contexts = {};
+  }
+
+  /**
+   * Get the incognito browser context a key's pages open in, creating it on the
+   * site's current proxy (or a direct connection) if needed
+   * @param {string} domain - Pool key (domain, vendor or vendor account)
+   * @param {string} siteKey - Site the key belongs to, picks the proxy
+   * @returns {Promise<Object>} Context entry ({ context, siteKey, proxy, openPages, fresh })
+   */
+  async getContext(domain, siteKey) {
+    if (this.contexts[domain]) {
+      return this.contexts[domain];
+    }
+
+    const proxy = proxyManager.getProxy(siteKey);
+
+    logger.info(`Creating browser context for ${domain}${proxy ? ` on proxy ${proxy.id}` : ''}`);
+    const context = await this.browser.createIncognitoBrowserContext(proxy ? { proxyServer: proxy.server } : {});
+    this.contexts[domain] = { context, siteKey, proxy, openPages: 0, retired: false, fresh: true };
+
+    return this.contexts[domain];
+  }
+
+  /**
+   * Retire the browser contexts of every key of a site, e.g. after it switched proxies
+   * @param {string} siteKey - Site key
+   * @returns {Promise<Array<string>>} Keys whose context was retired
+   */
+  async retireSite(siteKey) {
+    const keys = Object.keys(this.contexts).filter(key => this.contexts[key].siteKey === siteKey);
+
+    for (const key of keys) {
+      await this.retireContext(key);
+    }
+
+    return keys;
+  }
+
+  /**
+   * Stop using a key's browser context. Idle pages close right away, pages in use
+   * once they are released; the context (and its cookies) goes with its last page.
+   * @param {string} domain - Pool key
+   * @returns {Promise<void>}
+   */
+  async retireContext(domain) {
+    const entry = this.contexts[domain];
+    const pages = this.pages[domain] || [];
+
+    delete this.contexts[domain];
+    this.pages[domain] = [];
+
+    for (const pageData of pages) {
+      if (pageData.inUse) {
+        // Closed on release
+        pageData.retired = true;
+        continue;
+      }
+
+      if (this.pageTimers[pageData.id]) {
+        clearTimeout(this.pageTimers[pageData.id]);
+        delete this.pageTimers[pageData.id];
+      }
+
+      await this.closePage(pageData);
+    }
+
+    if (entry) {
+      entry.retired = true;
+      await this.closeRetiredContext(entry);
+    }
+  }
+
+  /**
+   * Close a pooled page and let its context know
+   * @param {Object} pageData - Page data object
+   * @returns {Promise<void>}
+   */
+  async closePage(pageData) {
+    await pageData.page.close().catch(error => {
+      logger.warn(`Error closing page: ${error.message}`);
+    });
+
+    if (pageData.context) {
+      pageData.context.openPages--;
+      await this.closeRetiredContext(pageData.context);
+    }
+  }
+
+  /**
+   * Close a retired browser context once none of its pages are open
+   * @param {Object} entry - Context entry
+   * @returns {Promise<void>}
+   */
+  async closeRetiredContext(entry) {
+    if (entry.retired && entry.openPages <= 0) {
+      await entry.context.close().catch(error => {
+        logger.warn(`Error closing browser context: ${error.message}`);
+      });
+    }
   }
 
   /**
    * Get a page for a specific domain
-   * @param {string} domain - Domain name
+   * @param {string} domain - Pool key: domain, vendor or vendor account (see sessionManager.getSessionKey)
+   * @param {Object} [options] - Page options
+   * @param {string} [options.siteKey] - Site the key belongs to (defaults to the key itself)
+   * @param {string} [options.resourcePolicy] - Resources the page blocks (see src/utils/resource-policy.js),
+   *   can be changed later with page.setResourcePolicy()
    * @returns {Promise<Page>} Puppeteer page wrapped in a proxy
    */
-  async getPage(domain) {
+  async getPage(domain, options = {}) {
+    const { siteKey = domain, resourcePolicy = DEFAULT_DOM_RESOURCE_POLICY } = options;
+    
     // Verify browser is initialized
     if (!this.browser) {
       logger.info('Browser not initialized, initializing now');
@@ -183,6 +298,7 @@ class BrowserPool {
         }
         
         pageData.inUse = true;
+        pageData.resourcePolicy = resourcePolicy;
         
         try {
           // Check if page is still responsive
@@ -194,6 +310,7 @@ class BrowserPool {
           // Remove from pages array
           this.pages[domain].splice(i, 1);
           i--;
+          await this.closePage(pageData);
           
           // Continue the loop to try another page or create a new one
         }
@@ -205,9 +322,27 @@ class BrowserPool {
       logger.info(`Creating new page for domain: ${domain}`);
       
       try {
-        const page = await this.browser.newPage();
+        const contextEntry = await this.getContext(domain, siteKey);
+        const page = await contextEntry.context.newPage();
         const pageId = `${domain}-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`;
         
+        contextEntry.openPages++;
+        
+        // Answer the proxy's authentication challenge
+        if (contextEntry.proxy && contextEntry.proxy.username) {
+          await page.authenticate({
+            username: contextEntry.proxy.username,
+            password: contextEntry.proxy.password
+          });
+        }
+        
+        // A new context starts out with the key's saved session, cookies set on
+        // one page are shared by all of the context's pages
+        if (contextEntry.fresh) {
+          contextEntry.fresh = false;
+          await sessionManager.applySessionToPage(domain, page);
+        }
+        
         // Configure the page
         await page.setUserAgent(
           'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
@@ -217,11 +352,12 @@ class BrowserPool {
         await page.setDefaultNavigationTimeout(90000); // 90 seconds
         await page.setDefaultTimeout(60000); // 60 seconds
         
-        // Set request interception to block unwanted resources
+        // Set request interception to block the resources the page's policy doesn't need
+        const pageData = { page, id: pageId, inUse: true, domain, context: contextEntry, resourcePolicy };
         await page.setRequestInterception(true);
         page.on('request', (request) => {
           const resourceType = request.resourceType();
-          if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
+          if (getBlockedResourceTypes(pageData.resourcePolicy).includes(resourceType)) {
             request.abort();
           } else {
             request.continue();
@@ -251,7 +387,6 @@ class BrowserPool {
           await dialog.dismiss().catch(err => logger.warn(`Error dismissing dialog: ${err.message}`));
         });
         
-        const pageData = { page, id: pageId, inUse: true, domain };
         this.pages[domain].push(pageData);
         
         return this.createPageProxy(pageData, domain);
@@ -277,10 +412,26 @@ class BrowserPool {
     logger.info(`Waiting for a page to become available for domain: ${domain}`);
     
     return new Promise((resolve, reject) => {
+      // Drop a page that stopped responding and ask for another one, with the same options
+      const replacePage = async (pageData, error) => {
+        logger.warn(`Page is no longer responsive: ${error.message}`);
+        
+        // Remove from pages array
+        const index = this.pages[domain].indexOf(pageData);
+        if (index !== -1) {
+          this.pages[domain].splice(index, 1);
+        }
+        await this.closePage(pageData);
+        
+        // Try again
+        this.getPage(domain, options).then(resolve).catch(reject);
+      };
+      
       const checkInterval = setInterval(() => {
         // Verify browser is still connected
         if (!this.browser || (this.browser && !this.browser.isConnected())) {
           clearInterval(checkInterval);
+          clearTimeout(waitTimeout);
           reject(new Error('Browser disconnected while waiting for available page'));
           return;
         }
@@ -288,6 +439,7 @@ class BrowserPool {
         for (const pageData of this.pages[domain]) {
           if (!pageData.inUse) {
             clearInterval(checkInterval);
+            clearTimeout(waitTimeout);
             
             // Clear any idle timer
             if (this.pageTimers[pageData.id]) {
@@ -296,34 +448,15 @@ class BrowserPool {
             }
             
             pageData.inUse = true;
+            pageData.resourcePolicy = resourcePolicy;
             
             try {
               // Check if page is still responsive
               pageData.page.evaluate(() => true)
                 .then(() => resolve(this.createPageProxy(pageData, domain)))
-                .catch(error => {
-                  logger.warn(`Page is no longer responsive: ${error.message}`);
-                  
-                  // Remove from pages array
-                  const index = this.pages[domain].indexOf(pageData);
-                  if (index !== -1) {
-                    this.pages[domain].splice(index, 1);
-                  }
-                  
-                  // Try again
-                  this.getPage(domain).then(resolve).catch(reject);
-                });
+                .catch(error => replacePage(pageData, error));
             } catch (error) {
-              logger.warn(`Error checking if page is responsive: ${error.message}`);
-              
-              // Remove from pages array
-              const index = this.pages[domain].indexOf(pageData);
-              if (index !== -1) {
-                this.pages[domain].splice(index, 1);
-              }
-              
-              // Try again
-              this.getPage(domain).then(resolve).catch(reject);
+              replacePage(pageData, error);
             }
             
             return;
@@ -332,7 +465,7 @@ class BrowserPool {
       }, 500); // Check every 500ms
       
       // Timeout after 30 seconds
-      setTimeout(() => {
+      const waitTimeout = setTimeout(() => {
         clearInterval(checkInterval);
         reject(new Error(`Timeout waiting for available page for domain: ${domain}`));
       }, 30000);
@@ -357,6 +490,12 @@ class BrowserPool {
             pageData.inUse = false;
             logger.debug(`Released page back to pool: ${pageData.id}`);
             
+            // Its context was retired while the page was in use
+            if (pageData.retired) {
+              self.closePage(pageData);
+              return;
+            }
+            
             // Set a timer to close the page if it remains unused
             self.pageTimers[pageData.id] = setTimeout(() => {
               logger.info(`Closing idle page for domain after timeout: ${domain}`);
@@ -367,17 +506,20 @@ class BrowserPool {
                 if (index !== -1 && !self.pages[domain][index].inUse) {
                   const pageToClose = self.pages[domain][index];
                   self.pages[domain].splice(index, 1);
-                  
-                  pageToClose.page.close()
-                    .catch(error => {
-                      logger.warn(`Error closing idle page: ${error.message}`);
-                    });
+                  self.closePage(pageToClose);
                 }
               }
               
               delete self.pageTimers[pageData.id];
             }, self.pageIdleTimeout);
           };
+        } else if (prop === 'setResourcePolicy') {
+          // Change which resources the page blocks from the next request on
+          return function(policy) {
+            pageData.resourcePolicy = policy;
+          };
+        } else if (prop === '_resourcePolicy') {
+          return pageData.resourcePolicy;
         } else if (prop === '_domain') {
           // Helper property to get the domain
           return domain;
@@ -386,7 +528,9 @@ class BrowserPool {
           return pageData.id;
         }
         
-        return target[prop];
+        // Call page methods on the page itself, they use private fields a proxy can't reach
+        const value = target[prop];
+        return typeof value === 'function' ? value.bind(target) : value;
       }
     });
     
@@ -433,6 +577,7 @@ class BrowserPool {
       this.browser = null;
       this.pages = {};
       this.pageTimers = {};
+      this.contexts = {};
       
       logger.info('Browser pool closed and resources released');
     } else {
@@ -485,6 +630,11 @@ class BrowserPool {
       totalPages: this.getTotalPagesCount(),
       pagesInUse: this.getPagesInUseCount(),
       domains: Object.keys(this.pages).length,
+      proxiedDomains: Object.fromEntries(
+        Object.entries(this.contexts)
+          .filter(([, entry]) => entry.proxy)
+          .map(([domain, entry]) => [domain, entry.proxy.id])
+      ),
       reconnectAttempts: this.reconnectAttempts,
       lastErrorTime: this.lastErrorTime ? this.lastErrorTime.toISOString() : null,
       memoryUsage: process.memoryUsage().heapUsed / 1024 / 1024, // MB
@@ -0,0 +1,267 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { encryptJson, decryptJson, getMasterKey, MASTER_KEY_ENV } from '../utils/encryption.js';
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORE_PATH = path.join(__dirname, '../../vault/credentials.json');
+
+/**
+ * Encrypted store for vendor accounts. Each vendor can have several accounts;
+ * one of them is the default used for logging in. The store is encrypted with
+ * the master key from CREDENTIAL_MASTER_KEY and managed with credentials-cli.js.
+ */
+class CredentialStore {
+  constructor() {
+    this.masterKey = null;
+    this.vendors = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Use a master key other than CREDENTIAL_MASTER_KEY, e.g. one typed in at a prompt
+   * @param {string} masterKey - Master key
+   */
+  unlock(masterKey) {
+    this.masterKey = masterKey;
+    this.loaded = false;
+  }
+
+  /**
+   * Get the master key used to unlock the store
+   * @returns {string|null} Master key or null if none is configured
+   */
+  getMasterKey() {
+    return this.masterKey || getMasterKey();
+  }
+
+  /**
+   * Whether the store can be unlocked
+   * @returns {boolean} Whether a master key is configured
+   */
+  isUnlockable() {
+    return !!this.getMasterKey();
+  }
+
+  /**
+   * Load and decrypt the store. A missing store file is an empty store.
+   * @returns {Promise<void>}
+   * @throws {Error} If the store exists but the master key is missing or wrong
+   */
+  async load() {
+    if (this.loaded) return;
+
+    let payload;
+
+    try {
+      payload = JSON.parse(await fs.readFile(STORE_PATH, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.vendors = {};
+        this.loaded = true;
+        return;
+      }
+
+      throw error;
+    }
+
+    const masterKey = this.getMasterKey();
+
+    if (!masterKey) {
+      throw new Error(`Credential store is locked, set ${MASTER_KEY_ENV} to unlock it`);
+    }
+
+    this.vendors = decryptJson(payload, masterKey).vendors || {};
+    this.loaded = true;
+
+    const accountCount = Object.values(this.vendors).reduce((count, accounts) => count + accounts.length, 0);
+    logger.info(`Loaded credential store with ${accountCount} accounts`);
+  }
+
+  /**
+   * Encrypt and write the store
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const masterKey = this.getMasterKey();
+
+    if (!masterKey) {
+      throw new Error(`Cannot save the credential store without a master key, set ${MASTER_KEY_ENV}`);
+    }
+
+    await fs.mkdir(path.dirname(STORE_PATH), { recursive: true });
+    await fs.writeFile(
+      STORE_PATH,
+      JSON.stringify(encryptJson({ vendors: this.vendors }, masterKey), null, 2),
+      { encoding: 'utf-8', mode: 0o600 }
+    );
+  }
+
+  /**
+   * Find an account of a vendor
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {string} accountId - Account ID
+   * @returns {Object} Account
+   * @throws {Error} If the account doesn't exist
+   */
+  findAccount(vendor, accountId) {
+    const account = (this.vendors[vendor] || []).find(entry => entry.id === accountId);
+
+    if (!account) {
+      throw new Error(`No ${vendor} account with ID ${accountId}`);
+    }
+
+    return account;
+  }
+
+  /**
+   * List accounts without their passwords
+   * @param {string} [vendor] - Only list this vendor's accounts
+   * @returns {Promise<Array<Object>>} Accounts ({ vendor, id, label, username, isDefault, createdAt, updatedAt })
+   */
+  async listAccounts(vendor = null) {
+    await this.load();
+
+    return Object.entries(this.vendors)
+      .filter(([key]) => !vendor || key === vendor)
+      .flatMap(([key, accounts]) => accounts.map(({ password, ...account }) => ({ vendor: key, ...account })));
+  }
+
+  /**
+   * Add an account for a vendor. A vendor's first account becomes its default.
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {Object} account - Account details
+   * @param {string} account.username - Username or email
+   * @param {string} account.password - Password
+   * @param {string} [account.label] - Name to tell accounts apart
+   * @param {boolean} [account.isDefault] - Make this the vendor's default account
+   * @returns {Promise<Object>} The new account without its password
+   */
+  async addAccount(vendor, { username, password, label = null, isDefault = false }) {
+    await this.load();
+
+    if (!username || !password) {
+      throw new Error('Username and password are required');
+    }
+
+    const accounts = this.vendors[vendor] || [];
+    const now = new Date().toISOString();
+    const account = {
+      id: crypto.randomUUID(),
+      label,
+      username,
+      password,
+      isDefault: accounts.length === 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.vendors[vendor] = [...accounts, account];
+
+    if (isDefault) {
+      this.markDefault(vendor, account.id);
+    }
+
+    await this.save();
+    logger.info(`Added ${vendor} account ${account.id}`);
+
+    const { password: _password, ...summary } = account;
+    return { vendor, ...summary };
+  }
+
+  /**
+   * Replace an account's password
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {string} accountId - Account ID
+   * @param {string} password - New password
+   * @returns {Promise<void>}
+   */
+  async rotatePassword(vendor, accountId, password) {
+    await this.load();
+
+    if (!password) {
+      throw new Error('Password is required');
+    }
+
+    const account = this.findAccount(vendor, accountId);
+    account.password = password;
+    account.updatedAt = new Date().toISOString();
+
+    await this.save();
+    logger.info(`Rotated password of ${vendor} account ${accountId}`);
+  }
+
+  /**
+   * Remove an account. The vendor's next account becomes the default if needed.
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async removeAccount(vendor, accountId) {
+    await this.load();
+
+    const account = this.findAccount(vendor, accountId);
+    const remaining = this.vendors[vendor].filter(entry => entry.id !== accountId);
+
+    if (remaining.length === 0) {
+      delete this.vendors[vendor];
+    } else {
+      this.vendors[vendor] = remaining;
+
+      if (account.isDefault) {
+        remaining[0].isDefault = true;
+      }
+    }
+
+    await this.save();
+    logger.info(`Removed ${vendor} account ${accountId}`);
+  }
+
+  /**
+   * Make an account the one used to log in to its vendor
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async setDefaultAccount(vendor, accountId) {
+    await this.load();
+    this.markDefault(vendor, accountId);
+    await this.save();
+    logger.info(`${vendor} account ${accountId} is now the default`);
+  }
+
+  /**
+   * Flag one account of a vendor as the default
+   * @param {string} vendor - Vendor key
+   * @param {string} accountId - Account ID
+   */
+  markDefault(vendor, accountId) {
+    this.findAccount(vendor, accountId);
+
+    for (const account of this.vendors[vendor]) {
+      account.isDefault = account.id === accountId;
+    }
+  }
+
+  /**
+   * Get the credentials of a vendor account
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {string} [accountId] - Account ID (defaults to the vendor's default account)
+   * @returns {Promise<Object|null>} Credentials ({ accountId, username, password }) or null if there is no account
+   */
+  async getCredentials(vendor, accountId = null) {
+    await this.load();
+
+    const accounts = this.vendors[vendor] || [];
+    const account = accountId
+      ? accounts.find(entry => entry.id === accountId)
+      : accounts.find(entry => entry.isDefault) || accounts[0];
+
+    return account ? { accountId: account.id, username: account.username, password: account.password } : null;
+  }
+}
+
+export default new CredentialStore();
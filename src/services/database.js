@@ -16,6 +16,9 @@ if (!supabaseUrl || !supabaseKey) {
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
+// Rows fetched per request when paging through a table (Supabase returns at most 1000 at once)
+const PAGE_SIZE = 1000;
+
 /**
  * Database service for interacting with Supabase
  */
@@ -180,6 +183,184 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Append an extracted price to the price history
+   * @param {Object} entry - Price history entry
+   * @param {string} entry.itemSourceId - The ID of the item source
+   * @param {string} entry.materialItemId - The ID of the material item
+   * @param {string} entry.sourceId - The ID of the vendor (sources.id)
+   * @param {number} entry.salePrice - The extracted price
+   * @param {number} entry.priceWithTax - The price with tax
+   * @param {boolean} [entry.perFoot] - Whether the price is per foot
+   * @param {number} [entry.totalFeet] - Total feet the listed price covers
+   * @param {number} [entry.confidence] - Extraction confidence (0-1)
+   * @param {string} [entry.method] - How the price was extracted ('json-ld', 'microdata', 'selector', 'vision' or 'ocr')
+   * @param {Object} [entry.priceOptions] - Alternative prices on the page keyed by option (e.g. inStore, delivery)
+   * @param {string} [entry.priceOption] - The option recorded as the sale price
+   * @param {string} [entry.screenshotPath] - Screenshot the price was extracted from
+   * @param {string} [entry.runId] - ID of the run that extracted the price
+   * @returns {Promise<Object>} Recorded price history entry
+   */
+  async recordPriceHistory(entry) {
+    try {
+      logger.info(`Recording price history for item source ${entry.itemSourceId}`);
+      const { data, error } = await supabase
+        .from('price_history')
+        .insert({
+          item_source_id: entry.itemSourceId,
+          item_id: entry.materialItemId,
+          source_id: entry.sourceId,
+          sale_price: entry.salePrice,
+          price_with_tax: entry.priceWithTax,
+          per_foot: !!entry.perFoot,
+          total_feet: entry.totalFeet || 0,
+          confidence: entry.confidence ?? null,
+          extraction_method: entry.method || null,
+          price_options: entry.priceOptions || null,
+          price_option: entry.priceOption || null,
+          screenshot_path: entry.screenshotPath || null,
+          resource_policy: entry.resourcePolicy || null,
+          run_id: entry.runId || null,
+          recorded_at: new Date().toISOString()
+        })
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      return data[0];
+    } catch (error) {
+      logger.error(`Error recording price history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one price history entry
+   * @param {string} id - The ID of the price history entry
+   * @returns {Promise<Object|null>} Price history entry or null if not found
+   */
+  async getPriceHistoryEntry(id) {
+    try {
+      const { data, error } = await supabase
+        .from('price_history')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          // No rows returned - entry not found
+          return null;
+        }
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error(`Error fetching price history entry: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Query the price history
+   * @param {Object} [filters] - Query filters
+   * @param {string} [filters.materialItemId] - Only entries for this material item
+   * @param {string} [filters.sourceId] - Only entries for this vendor (sources.id)
+   * @param {string} [filters.itemSourceId] - Only entries for this item source
+   * @param {Date|string} [filters.from] - Only entries recorded at or after this date
+   * @param {Date|string} [filters.to] - Only entries recorded at or before this date
+   * @param {number} [filters.limit] - Maximum number of entries to return, the most recent ones are kept
+   * @returns {Promise<Array>} Price history entries, oldest first
+   */
+  async getPriceHistory(filters = {}) {
+    try {
+      const { materialItemId, sourceId, itemSourceId, from, to, limit } = filters;
+
+      // Newest first, so the latest prices are never the ones cut off by a limit
+      const buildQuery = () => {
+        let query = supabase
+          .from('price_history')
+          .select(`
+            *,
+            sources:source_id (
+              id,
+              name
+            )
+          `)
+          .order('recorded_at', { ascending: false })
+          .order('id', { ascending: false });
+
+        if (materialItemId) {
+          query = query.eq('item_id', materialItemId);
+        }
+
+        if (sourceId) {
+          query = query.eq('source_id', sourceId);
+        }
+
+        if (itemSourceId) {
+          query = query.eq('item_source_id', itemSourceId);
+        }
+
+        if (from) {
+          query = query.gte('recorded_at', new Date(from).toISOString());
+        }
+
+        if (to) {
+          query = query.lte('recorded_at', new Date(to).toISOString());
+        }
+
+        return query;
+      };
+
+      const entries = [];
+
+      // Page through the entries, a single request stops at PAGE_SIZE rows
+      while (!limit || entries.length < limit) {
+        const pageSize = limit ? Math.min(PAGE_SIZE, limit - entries.length) : PAGE_SIZE;
+        const { data, error } = await buildQuery().range(entries.length, entries.length + pageSize - 1);
+
+        if (error) {
+          throw error;
+        }
+
+        entries.push(...data);
+
+        if (data.length < pageSize) {
+          break;
+        }
+      }
+
+      return entries.reverse();
+    } catch (error) {
+      logger.error(`Error fetching price history: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the price history for a material item
+   * @param {string} materialItemId - The ID of the material item
+   * @param {Object} [options] - Extra filters (sourceId, from, to, limit)
+   * @returns {Promise<Array>} Price history entries, oldest first
+   */
+  async getPriceHistoryForMaterialItem(materialItemId, options = {}) {
+    return this.getPriceHistory({ ...options, materialItemId });
+  }
+
+  /**
+   * Get the price history for a vendor
+   * @param {string} sourceId - The ID of the vendor (sources.id)
+   * @param {Object} [options] - Extra filters (materialItemId, from, to, limit)
+   * @returns {Promise<Array>} Price history entries, oldest first
+   */
+  async getPriceHistoryForVendor(sourceId, options = {}) {
+    return this.getPriceHistory({ ...options, sourceId });
+  }
+
   /**
    * Mark an item source URL as out of date
    * @param {string} itemSourceId - The ID of the item source
@@ -209,6 +390,64 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Flag an item source whose URL shows a different product than the material item
+   * @param {string} itemSourceId - The ID of the item source
+   * @returns {Promise<Object>} Updated item source
+   */
+  async markAsWrongProduct(itemSourceId) {
+    try {
+      logger.info(`Marking item source ${itemSourceId} as showing the wrong product`);
+      const { data, error } = await supabase
+        .from('item_sources')
+        .update({
+          wrong_product: true,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', itemSourceId)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info(`Marked item source ${itemSourceId} as showing the wrong product`);
+      return data[0];
+    } catch (error) {
+      logger.error(`Error marking item source as wrong product: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the wrong product flag of an item source whose URL shows the material item again
+   * @param {string} itemSourceId - The ID of the item source
+   * @returns {Promise<Object>} Updated item source
+   */
+  async clearWrongProduct(itemSourceId) {
+    try {
+      logger.info(`Clearing the wrong product flag of item source ${itemSourceId}`);
+      const { data, error } = await supabase
+        .from('item_sources')
+        .update({
+          wrong_product: false,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', itemSourceId)
+        .select();
+
+      if (error) {
+        throw error;
+      }
+
+      logger.info(`Cleared the wrong product flag of item source ${itemSourceId}`);
+      return data[0];
+    } catch (error) {
+      logger.error(`Error clearing wrong product flag: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update a material item with new pricing information
    * @param {string} materialItemId - The ID of the material item
@@ -0,0 +1,290 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ARCHIVE_DIR = path.join(__dirname, '../../evidence');
+const BLOBS_DIR = 'blobs';
+const RUNS_DIR = 'runs';
+
+// How long evidence is kept, and the archive size (0 = no limit) above which the oldest evidence goes first
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_MAX_SIZE_MB = 0;
+
+// Captures without a run ID (e.g. single URLs captured by hand) are filed under this run
+const UNASSIGNED_RUN = 'unassigned';
+
+/**
+ * Make a run or item source ID safe to use as a file name
+ * @param {string} id - ID
+ * @returns {string} File name part
+ */
+function safeName(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+/**
+ * Archive of the pages prices were read from, for when a price is disputed.
+ * Screenshots and HTML snippets are stored once per content (blobs/<hash>),
+ * and a manifest per run and item source (runs/<runId>/<itemSourceId>.json)
+ * points at them. Evidence older than EVIDENCE_RETENTION_DAYS is pruned, as is
+ * the oldest evidence once the archive outgrows EVIDENCE_MAX_SIZE_MB; the
+ * latest evidence of each item source is always kept.
+ */
+class EvidenceArchive {
+  constructor() {
+    this.retentionDays = parseFloat(process.env.EVIDENCE_RETENTION_DAYS || DEFAULT_RETENTION_DAYS);
+    this.maxSizeBytes = parseFloat(process.env.EVIDENCE_MAX_SIZE_MB || DEFAULT_MAX_SIZE_MB) * 1024 * 1024;
+    // Kept on the instance so tests can archive into a temporary directory
+    this.archiveDir = ARCHIVE_DIR;
+  }
+
+  /**
+   * Store content under its hash, once
+   * @param {Buffer|string} content - File content
+   * @param {string} extension - File extension (e.g. 'jpg')
+   * @returns {Promise<string>} Blob path relative to the archive
+   */
+  async storeBlob(content, extension) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const relativePath = path.posix.join(BLOBS_DIR, hash.slice(0, 2), `${hash}.${extension}`);
+    const filePath = path.join(this.archiveDir, relativePath);
+
+    const exists = await fs.access(filePath).then(() => true).catch(() => false);
+
+    if (!exists) {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+    }
+
+    return relativePath;
+  }
+
+  /**
+   * Archive a captured page as the evidence for an item source's price in a run
+   * @param {Object} capture - Captured page
+   * @param {string} capture.itemSourceId - The ID of the item source
+   * @param {string} [capture.runId] - ID of the run
+   * @param {string} capture.url - Requested URL
+   * @param {string} [capture.finalUrl] - URL after redirects
+   * @param {string} [capture.screenshotPath] - Screenshot to archive
+   * @param {string} [capture.titleScreenshotPath] - Screenshot of the product title to archive
+   * @param {string} [capture.html] - HTML snippet the price was read from
+   * @param {string} [capture.resourcePolicy] - Resource policy the page was loaded with (see src/utils/resource-policy.js)
+   * @returns {Promise<Object|null>} Manifest ({ itemSourceId, runId, url, finalUrl, capturedAt, resourcePolicy, screenshot,
+   *   titleScreenshot, html }) with archive-relative blob paths, or null if there was nothing to archive or archiving failed
+   */
+  async archive({
+    itemSourceId,
+    runId = null,
+    url,
+    finalUrl = null,
+    screenshotPath = null,
+    titleScreenshotPath = null,
+    html = null,
+    resourcePolicy = null
+  }) {
+    if (!screenshotPath && !html) {
+      return null;
+    }
+
+    try {
+      const manifest = {
+        itemSourceId,
+        runId: runId || UNASSIGNED_RUN,
+        url,
+        finalUrl: finalUrl || url,
+        capturedAt: new Date().toISOString(),
+        resourcePolicy,
+        screenshot: screenshotPath ? await this.storeBlob(await fs.readFile(screenshotPath), 'jpg') : null,
+        titleScreenshot: titleScreenshotPath ? await this.storeBlob(await fs.readFile(titleScreenshotPath), 'jpg') : null,
+        html: html ? await this.storeBlob(html, 'html') : null
+      };
+
+      const manifestPath = this.getManifestPath(manifest.runId, itemSourceId);
+      await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+      await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+
+      logger.debug(`Archived evidence for item source ${itemSourceId} in run ${manifest.runId}`);
+      return manifest;
+    } catch (error) {
+      logger.warn(`Error archiving evidence for item source ${itemSourceId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the manifest file path of an item source's evidence in a run
+   * @param {string} runId - ID of the run
+   * @param {string} itemSourceId - The ID of the item source
+   * @returns {string} Absolute path
+   */
+  getManifestPath(runId, itemSourceId) {
+    return path.join(this.archiveDir, RUNS_DIR, safeName(runId || UNASSIGNED_RUN), `${safeName(itemSourceId)}.json`);
+  }
+
+  /**
+   * Get the evidence of an item source's price in a run
+   * @param {string} runId - ID of the run
+   * @param {string} itemSourceId - The ID of the item source
+   * @returns {Promise<Object|null>} Manifest or null if no evidence is archived
+   */
+  async getEvidence(runId, itemSourceId) {
+    try {
+      return JSON.parse(await fs.readFile(this.getManifestPath(runId, itemSourceId), 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Error reading evidence for item source ${itemSourceId}: ${error.message}`);
+      }
+
+      return null;
+    }
+  }
+
+  /**
+   * Turn an archive-relative blob path (as stored in a manifest or price_history.screenshot_path)
+   * into an absolute path
+   * @param {string} relativePath - Blob path
+   * @returns {string|null} Absolute path, or null if the path points outside the blob store
+   */
+  resolveBlob(relativePath) {
+    const blobsDir = path.join(this.archiveDir, BLOBS_DIR);
+    const filePath = path.resolve(this.archiveDir, relativePath);
+
+    return filePath.startsWith(blobsDir + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Read every manifest in the archive
+   * @returns {Promise<Array<Object>>} Manifests, each with its file path (manifestPath)
+   */
+  async listManifests() {
+    const runsDir = path.join(this.archiveDir, RUNS_DIR);
+    const manifests = [];
+    const runs = await fs.readdir(runsDir).catch(() => []);
+
+    for (const run of runs) {
+      const files = await fs.readdir(path.join(runsDir, run)).catch(() => []);
+
+      for (const file of files.filter(name => name.endsWith('.json'))) {
+        const manifestPath = path.join(runsDir, run, file);
+
+        try {
+          manifests.push({ ...JSON.parse(await fs.readFile(manifestPath, 'utf-8')), manifestPath });
+        } catch (error) {
+          logger.warn(`Skipping unreadable evidence manifest ${manifestPath}: ${error.message}`);
+        }
+      }
+    }
+
+    return manifests;
+  }
+
+  /**
+   * Apply the retention policy: drop evidence past its retention, then the oldest
+   * evidence while the archive is too big, and finally blobs no evidence uses any more
+   * @returns {Promise<Object>} Pruned evidence and blobs ({ manifests, blobs })
+   */
+  async prune() {
+    const pruned = { manifests: 0, blobs: 0 };
+
+    try {
+      const manifests = (await this.listManifests())
+        .sort((a, b) => new Date(a.capturedAt) - new Date(b.capturedAt));
+
+      // The newest evidence of each item source backs its current price
+      const latest = new Map();
+      for (const manifest of manifests) {
+        latest.set(manifest.itemSourceId, manifest);
+      }
+
+      const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+      const keep = [];
+
+      for (const manifest of manifests) {
+        if (latest.get(manifest.itemSourceId) !== manifest && new Date(manifest.capturedAt).getTime() < cutoff) {
+          await fs.unlink(manifest.manifestPath).catch(() => {});
+          pruned.manifests++;
+        } else {
+          keep.push(manifest);
+        }
+      }
+
+      // Sizes of the blobs still in use
+      const blobSizes = new Map();
+      const blobsOf = manifest => [manifest.screenshot, manifest.titleScreenshot, manifest.html].filter(Boolean);
+
+      for (const blob of keep.flatMap(blobsOf)) {
+        if (!blobSizes.has(blob)) {
+          const stat = await fs.stat(path.join(this.archiveDir, blob)).catch(() => null);
+          blobSizes.set(blob, stat ? stat.size : 0);
+        }
+      }
+
+      if (this.maxSizeBytes > 0) {
+        let size = [...blobSizes.values()].reduce((total, blobSize) => total + blobSize, 0);
+        const users = new Map();
+
+        for (const blob of keep.flatMap(blobsOf)) {
+          users.set(blob, (users.get(blob) || 0) + 1);
+        }
+
+        for (const manifest of [...keep]) {
+          if (size <= this.maxSizeBytes) break;
+          if (latest.get(manifest.itemSourceId) === manifest) continue;
+
+          await fs.unlink(manifest.manifestPath).catch(() => {});
+          keep.splice(keep.indexOf(manifest), 1);
+          pruned.manifests++;
+
+          for (const blob of blobsOf(manifest)) {
+            users.set(blob, users.get(blob) - 1);
+
+            if (users.get(blob) === 0) {
+              size -= blobSizes.get(blob);
+              blobSizes.delete(blob);
+            }
+          }
+        }
+      }
+
+      // Blobs no remaining evidence points at
+      const blobsDir = path.join(this.archiveDir, BLOBS_DIR);
+
+      for (const prefix of await fs.readdir(blobsDir).catch(() => [])) {
+        for (const file of await fs.readdir(path.join(blobsDir, prefix)).catch(() => [])) {
+          if (!blobSizes.has(path.posix.join(BLOBS_DIR, prefix, file))) {
+            await fs.unlink(path.join(blobsDir, prefix, file)).catch(() => {});
+            pruned.blobs++;
+          }
+        }
+      }
+
+      // Runs without evidence left
+      const runsDir = path.join(this.archiveDir, RUNS_DIR);
+
+      for (const run of await fs.readdir(runsDir).catch(() => [])) {
+        if ((await fs.readdir(path.join(runsDir, run)).catch(() => [null])).length === 0) {
+          await fs.rmdir(path.join(runsDir, run)).catch(() => {});
+        }
+      }
+
+      if (pruned.manifests > 0 || pruned.blobs > 0) {
+        logger.info(`Pruned ${pruned.manifests} evidence records and ${pruned.blobs} archived files`);
+      }
+    } catch (error) {
+      logger.error(`Error pruning evidence archive: ${error.message}`);
+    }
+
+    return pruned;
+  }
+}
+
+export default new EvidenceArchive();
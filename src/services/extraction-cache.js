@@ -0,0 +1,165 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CACHE_PATH = path.join(__dirname, '../../state/extraction-cache.json');
+
+// How long a vision extraction is reused for an unchanged price area (0 = never)
+const DEFAULT_TTL_HOURS = 24;
+
+/**
+ * Cache of vision extractions keyed by a hash of what the vision model was shown:
+ * the price area and title screenshots of a product page, with the product name
+ * and vendor hint that went into the prompt. A page whose price area looks exactly
+ * the same as at its last extraction reuses that extraction for
+ * EXTRACTION_CACHE_TTL_HOURS instead of calling the vision providers again.
+ * The cache is kept in state/ and so survives restarts.
+ */
+class ExtractionCache {
+  constructor() {
+    this.ttlHours = parseFloat(process.env.EXTRACTION_CACHE_TTL_HOURS || DEFAULT_TTL_HOURS);
+    this.entries = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Whether extractions are cached at all
+   * @returns {boolean} Whether the TTL is above 0
+   */
+  isEnabled() {
+    return this.ttlHours > 0;
+  }
+
+  /**
+   * Get the cache key of a screenshot about to be sent to the vision providers
+   * @param {Object} input - What the vision providers are given
+   * @param {string} input.url - Product page URL
+   * @param {string} input.screenshotPath - Price area screenshot
+   * @param {string} [input.titleScreenshotPath] - Product title screenshot
+   * @param {string} input.productName - Product name the prompt mentions
+   * @param {string} [input.hint] - Vendor hint the prompt includes
+   * @returns {Promise<string|null>} Key or null if the screenshot can't be read
+   */
+  async getKey({ url, screenshotPath, titleScreenshotPath = null, productName, hint = null }) {
+    try {
+      const hash = crypto.createHash('sha256');
+
+      hash.update(JSON.stringify({ url, productName, hint }));
+      hash.update(await fs.readFile(screenshotPath));
+
+      if (titleScreenshotPath) {
+        hash.update(await fs.readFile(titleScreenshotPath).catch(() => ''));
+      }
+
+      return hash.digest('hex');
+    } catch (error) {
+      logger.warn(`Could not hash screenshot ${screenshotPath} for the extraction cache: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Whether a cache entry is past its TTL
+   * @param {Object} entry - Cache entry ({ extraction, cachedAt })
+   * @returns {boolean} Whether the entry has expired
+   */
+  isExpired(entry) {
+    return Date.now() - new Date(entry.cachedAt).getTime() > this.ttlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Load the cached extractions, once
+   * @returns {Promise<Map>} Entries keyed by cache key
+   */
+  async load() {
+    if (!this.entries) {
+      this.entries = new Map();
+
+      try {
+        const saved = JSON.parse(await fs.readFile(CACHE_PATH, 'utf-8'));
+
+        for (const [key, entry] of Object.entries(saved.entries || {})) {
+          if (!this.isExpired(entry)) {
+            this.entries.set(key, entry);
+          }
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Could not read extraction cache, starting empty: ${error.message}`);
+        }
+      }
+    }
+
+    return this.entries;
+  }
+
+  /**
+   * Write the unexpired extractions, one write at a time
+   * @returns {Promise<void>}
+   */
+  save() {
+    for (const [key, entry] of this.entries) {
+      if (this.isExpired(entry)) {
+        this.entries.delete(key);
+      }
+    }
+
+    const snapshot = JSON.stringify({ entries: Object.fromEntries(this.entries) }, null, 2);
+
+    this.saving = this.saving
+      .then(async () => {
+        await fs.mkdir(path.dirname(CACHE_PATH), { recursive: true });
+        await fs.writeFile(CACHE_PATH, snapshot, 'utf-8');
+      })
+      .catch((error) => {
+        logger.warn(`Could not save extraction cache: ${error.message}`);
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * Get the cached extraction for a key
+   * @param {string|null} key - Cache key (see getKey)
+   * @returns {Promise<Object|null>} Extraction with the time it was cached (cachedAt), or null on a miss
+   */
+  async get(key) {
+    if (!key || !this.isEnabled()) {
+      return null;
+    }
+
+    const entry = (await this.load()).get(key);
+
+    if (!entry || this.isExpired(entry)) {
+      return null;
+    }
+
+    return { ...entry.extraction, cachedAt: entry.cachedAt };
+  }
+
+  /**
+   * Cache an extraction
+   * @param {string|null} key - Cache key (see getKey)
+   * @param {Object} extraction - Extraction returned by the vision service
+   * @returns {Promise<void>}
+   */
+  async set(key, extraction) {
+    if (!key || !this.isEnabled()) {
+      return;
+    }
+
+    await this.load();
+    this.entries.set(key, { extraction, cachedAt: new Date().toISOString() });
+    await this.save();
+  }
+}
+
+export default new ExtractionCache();
@@ -0,0 +1,341 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const JOBS_DIR = path.join(__dirname, '../../jobs');
+const MAX_BUFFERED_EVENTS = 500; // Events kept per job for clients that connect late
+
+/**
+ * Job Manager for running long tasks in the background and tracking their progress.
+ * Jobs are persisted to disk so their status and results survive a server restart.
+ * Emits a 'job-event' event for every event a running job reports.
+ */
+class JobManager extends EventEmitter {
+  constructor() {
+    super();
+    // Every connected event stream adds a listener
+    this.setMaxListeners(0);
+    this.jobs = {};
+    this.events = {};
+    this.initialized = false;
+    // Jobs share one scraper browser, so they run one at a time
+    this.queue = Promise.resolve();
+    // Pending write of each job, so two writes never share its temp file
+    this.saving = {};
+  }
+
+  /**
+   * Initialize the job manager
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      // Create jobs directory if it doesn't exist
+      await fs.mkdir(JOBS_DIR, { recursive: true });
+
+      // Load existing jobs
+      const files = await fs.readdir(JOBS_DIR);
+
+      for (const file of files) {
+        if (file.endsWith('.json')) {
+          try {
+            const job = JSON.parse(
+              await fs.readFile(path.join(JOBS_DIR, file), 'utf-8')
+            );
+
+            // Jobs that were still queued or running when the server stopped cannot resume
+            if (job.status === 'queued' || job.status === 'running') {
+              job.status = 'interrupted';
+              job.error = 'Server restarted before the job completed';
+              job.completedAt = new Date().toISOString();
+              this.jobs[job.id] = job;
+              await this.saveJob(job);
+              logger.warn(`Marked job ${job.id} as interrupted after restart`);
+            } else {
+              this.jobs[job.id] = job;
+            }
+          } catch (error) {
+            logger.warn(`Error loading job file ${file}: ${error.message}`);
+          }
+        }
+      }
+
+      this.initialized = true;
+      logger.info(`Job manager initialized with ${Object.keys(this.jobs).length} stored jobs`);
+    } catch (error) {
+      logger.error(`Error initializing job manager: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Persist a job to disk, one write per job at a time
+   * @param {Object} job - Job to save
+   * @returns {Promise<void>}
+   */
+  saveJob(job) {
+    const filePath = path.join(JOBS_DIR, `${job.id}.json`);
+    const tempPath = `${filePath}.tmp`;
+    const snapshot = JSON.stringify(job, null, 2);
+
+    const saving = (this.saving[job.id] || Promise.resolve())
+      .then(async () => {
+        // Write to a temp file first so a crash never leaves a half-written job
+        await fs.writeFile(tempPath, snapshot, 'utf-8');
+        await fs.rename(tempPath, filePath);
+      })
+      .catch((error) => {
+        logger.error(`Error saving job ${job.id}: ${error.message}`);
+      })
+      .finally(() => {
+        if (this.saving[job.id] === saving) {
+          delete this.saving[job.id];
+        }
+      });
+
+    this.saving[job.id] = saving;
+
+    return saving;
+  }
+
+  /**
+   * Update a job and persist the change
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated job or null if not found
+   */
+  async updateJob(jobId, changes) {
+    const job = this.jobs[jobId];
+
+    if (!job) {
+      return null;
+    }
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    await this.saveJob(job);
+
+    return job;
+  }
+
+  /**
+   * Create a job and run it in the background
+   * @param {string} type - Job type (e.g. 'scrape-materials')
+   * @param {Object} params - Parameters the job was started with
+   * @param {Function} handler - Async function (job, updateProgress, emitEvent) that returns the job result
+   * @returns {Promise<Object>} The created job
+   */
+  async createJob(type, params, handler) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      params,
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs[job.id] = job;
+    this.events[job.id] = [];
+    await this.saveJob(job);
+    logger.info(`Created ${type} job ${job.id}`);
+    this.emitJobEvent(job.id, 'status', { status: job.status });
+
+    this.queue = this.queue
+      .then(() => this.runJob(job, handler))
+      .catch(error => {
+        logger.error(`Unexpected error running job ${job.id}: ${error.message}`);
+      });
+
+    return job;
+  }
+
+  /**
+   * Run a task in turn with the jobs, for work outside a job that uses their scraper browser
+   * @param {Function} task - Async function to run once the jobs before it have finished
+   * @returns {Promise<any>} What the task returns
+   */
+  runExclusive(task) {
+    const run = this.queue.then(() => task());
+
+    this.queue = run.catch(() => {});
+
+    return run;
+  }
+
+  /**
+   * Record an event for a job and notify listeners
+   * @param {string} jobId - Job ID
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @returns {Object} The recorded event
+   */
+  emitJobEvent(jobId, type, data = {}) {
+    if (!this.events[jobId]) {
+      this.events[jobId] = [];
+    }
+
+    const buffer = this.events[jobId];
+    const event = {
+      id: buffer.length > 0 ? buffer[buffer.length - 1].id + 1 : 1,
+      jobId,
+      type,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    buffer.push(event);
+
+    if (buffer.length > MAX_BUFFERED_EVENTS) {
+      buffer.shift();
+    }
+
+    this.emit('job-event', event);
+    return event;
+  }
+
+  /**
+   * Get buffered events for a job
+   * @param {string} jobId - Job ID
+   * @param {number} [afterId=0] - Only return events with a higher ID
+   * @returns {Array} Array of events
+   */
+  getJobEvents(jobId, afterId = 0) {
+    return (this.events[jobId] || []).filter(event => event.id > afterId);
+  }
+
+  /**
+   * Check whether a job has finished running
+   * @param {Object} job - Job to check
+   * @returns {boolean} Whether the job is finished
+   */
+  isFinished(job) {
+    return ['completed', 'failed', 'interrupted'].includes(job.status);
+  }
+
+  /**
+   * Run a queued job
+   * @param {Object} job - Job to run
+   * @param {Function} handler - Job handler
+   * @returns {Promise<void>}
+   */
+  async runJob(job, handler) {
+    logger.info(`Starting ${job.type} job ${job.id}`);
+    await this.updateJob(job.id, {
+      status: 'running',
+      startedAt: new Date().toISOString()
+    });
+    this.emitJobEvent(job.id, 'status', { status: 'running' });
+
+    const updateProgress = async (progress) => {
+      await this.updateJob(job.id, { progress });
+      this.emitJobEvent(job.id, 'progress', progress);
+    };
+
+    const emitEvent = (type, data) => {
+      this.emitJobEvent(job.id, type, data);
+    };
+
+    try {
+      const result = await handler(job, updateProgress, emitEvent);
+
+      await this.updateJob(job.id, {
+        status: 'completed',
+        result,
+        completedAt: new Date().toISOString()
+      });
+      logger.info(`Completed ${job.type} job ${job.id}`);
+    } catch (error) {
+      logger.error(`Job ${job.id} failed: ${error.message}`);
+
+      await this.updateJob(job.id, {
+        status: 'failed',
+        error: error.message,
+        completedAt: new Date().toISOString()
+      });
+    }
+
+    this.emitJobEvent(job.id, 'status', { status: job.status, error: job.error });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
+   */
+  async getJob(jobId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.jobs[jobId] || null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} options - List options
+   * @param {string} [options.status] - Only return jobs with this status
+   * @param {number} [options.limit] - Maximum number of jobs to return
+   * @returns {Promise<Array>} Array of jobs without their result payloads
+   */
+  async listJobs(options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { status, limit } = options;
+
+    let jobs = Object.values(this.jobs)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    if (status) {
+      jobs = jobs.filter(job => job.status === status);
+    }
+
+    if (limit) {
+      jobs = jobs.slice(0, limit);
+    }
+
+    // Leave out result payloads, they can be large; fetch a single job for those
+    return jobs.map(({ result, ...job }) => ({
+      ...job,
+      hasResult: result !== null
+    }));
+  }
+
+  /**
+   * Get status of job manager
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    const counts = {};
+
+    for (const job of Object.values(this.jobs)) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+
+    return {
+      initialized: this.initialized,
+      totalJobs: Object.keys(this.jobs).length,
+      jobsByStatus: counts
+    };
+  }
+}
+
+export default new JobManager();
@@ -99,6 +99,8 @@ class MockDatabaseService {
       }
     };
     
+    this.priceHistory = [];
+    
     // Track updates
     this.updates = {
       itemSources: {},
@@ -184,6 +186,90 @@ class MockDatabaseService {
     }
   }
 
+  /**
+   * Append an extracted price to the price history
+   * @param {Object} entry - Price history entry
+   * @returns {Promise<Object>} Recorded price history entry
+   */
+  async recordPriceHistory(entry) {
+    const record = {
+      id: String(this.priceHistory.length + 1),
+      item_source_id: entry.itemSourceId,
+      item_id: entry.materialItemId,
+      source_id: entry.sourceId,
+      sale_price: entry.salePrice,
+      price_with_tax: entry.priceWithTax,
+      per_foot: !!entry.perFoot,
+      total_feet: entry.totalFeet || 0,
+      confidence: entry.confidence ?? null,
+      extraction_method: entry.method || null,
+      price_options: entry.priceOptions || null,
+      price_option: entry.priceOption || null,
+      screenshot_path: entry.screenshotPath || null,
+      resource_policy: entry.resourcePolicy || null,
+      run_id: entry.runId || null,
+      recorded_at: new Date().toISOString()
+    };
+    
+    this.priceHistory.push(record);
+    logger.info(`Recorded price history for item source ${entry.itemSourceId}`);
+    return record;
+  }
+
+  /**
+   * Get one price history entry
+   * @param {string} id - The ID of the price history entry
+   * @returns {Promise<Object|null>} Price history entry or null if not found
+   */
+  async getPriceHistoryEntry(id) {
+    return this.priceHistory.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Query the price history
+   * @param {Object} [filters] - Query filters (materialItemId, sourceId, itemSourceId, from, to, limit);
+   *   a limit keeps the most recent entries
+   * @returns {Promise<Array>} Price history entries, oldest first
+   */
+  async getPriceHistory(filters = {}) {
+    const { materialItemId, sourceId, itemSourceId, from, to, limit } = filters;
+    
+    let entries = this.priceHistory.filter(entry => {
+      if (materialItemId && entry.item_id !== materialItemId) return false;
+      if (sourceId && entry.source_id !== sourceId) return false;
+      if (itemSourceId && entry.item_source_id !== itemSourceId) return false;
+      if (from && new Date(entry.recorded_at) < new Date(from)) return false;
+      if (to && new Date(entry.recorded_at) > new Date(to)) return false;
+      return true;
+    });
+    
+    if (limit) {
+      entries = entries.slice(-limit);
+    }
+    
+    return entries.map(entry => ({ ...entry, sources: this.sources[entry.source_id] || null }));
+  }
+
+  /**
+   * Get the price history for a material item
+   * @param {string} materialItemId - The ID of the material item
+   * @param {Object} [options] - Extra filters (sourceId, from, to, limit)
+   * @returns {Promise<Array>} Price history entries, oldest first
+   */
+  async getPriceHistoryForMaterialItem(materialItemId, options = {}) {
+    return this.getPriceHistory({ ...options, materialItemId });
+  }
+
+  /**
+   * Get the price history for a vendor
+   * @param {string} sourceId - The ID of the vendor
+   * @param {Object} [options] - Extra filters (materialItemId, from, to, limit)
+   * @returns {Promise<Array>} Price history entries, oldest first
+   */
+  async getPriceHistoryForVendor(sourceId, options = {}) {
+    return this.getPriceHistory({ ...options, sourceId });
+  }
+
   /**
    * Mark an item source URL as out of date
    * @param {string} itemSourceId - The ID of the item source
@@ -227,6 +313,92 @@ class MockDatabaseService {
     }
   }
 
+  /**
+   * Flag an item source whose URL shows a different product than the material item
+   * @param {string} itemSourceId - The ID of the item source
+   * @returns {Promise<Object>} Updated item source
+   */
+  async markAsWrongProduct(itemSourceId) {
+    try {
+      logger.info(`Marking item source ${itemSourceId} as showing the wrong product`);
+      
+      // Find the item source
+      let updatedSource = null;
+      
+      for (const materialItemId in this.itemSources) {
+        const sources = this.itemSources[materialItemId];
+        const sourceIndex = sources.findIndex(s => s.id === itemSourceId);
+        
+        if (sourceIndex !== -1) {
+          // Update the item source
+          updatedSource = {
+            ...sources[sourceIndex],
+            wrong_product: true,
+            updated_at: new Date().toISOString()
+          };
+          
+          // Store the update
+          this.updates.itemSources[itemSourceId] = updatedSource;
+          
+          logger.info(`Marked item source ${itemSourceId} as showing the wrong product`);
+          break;
+        }
+      }
+      
+      if (!updatedSource) {
+        throw new Error(`Item source ${itemSourceId} not found`);
+      }
+      
+      return updatedSource;
+    } catch (error) {
+      logger.error(`Error marking item source as wrong product: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the wrong product flag of an item source whose URL shows the material item again
+   * @param {string} itemSourceId - The ID of the item source
+   * @returns {Promise<Object>} Updated item source
+   */
+  async clearWrongProduct(itemSourceId) {
+    try {
+      logger.info(`Clearing the wrong product flag of item source ${itemSourceId}`);
+      
+      // Find the item source
+      let updatedSource = null;
+      
+      for (const materialItemId in this.itemSources) {
+        const sources = this.itemSources[materialItemId];
+        const sourceIndex = sources.findIndex(s => s.id === itemSourceId);
+        
+        if (sourceIndex !== -1) {
+          // Update the item source
+          updatedSource = {
+            ...sources[sourceIndex],
+            wrong_product: false,
+            updated_at: new Date().toISOString()
+          };
+          
+          // Store the update
+          this.updates.itemSources[itemSourceId] = updatedSource;
+          
+          logger.info(`Cleared the wrong product flag of item source ${itemSourceId}`);
+          break;
+        }
+      }
+      
+      if (!updatedSource) {
+        throw new Error(`Item source ${itemSourceId} not found`);
+      }
+      
+      return updatedSource;
+    } catch (error) {
+      logger.error(`Error clearing wrong product flag: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Update a material item with new pricing information
    * @param {string} materialItemId - The ID of the material item
@@ -288,6 +460,14 @@ class MockDatabaseService {
     }
   }
 
+  /**
+   * Get all sources
+   * @returns {Promise<Array>} Array of sources
+   */
+  async getAllSources() {
+    return Object.values(this.sources);
+  }
+
   /**
    * Get all updates made during the test
    * @returns {Object} All updates
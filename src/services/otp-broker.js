@@ -0,0 +1,190 @@
+import { EventEmitter } from 'events';
+import readline from 'readline';
+import { logger } from '../utils/logger.js';
+import sessionManager from './session-manager.js';
+
+// How long a vendor login waits for a one-time code before giving up
+const DEFAULT_OTP_TIMEOUT_MINUTES = 10;
+
+/**
+ * Hands one-time codes (emailed or SMS two-factor codes) to vendor logins that
+ * are waiting for them. A login that hits a code challenge calls requestCode and
+ * waits; the code comes in through the API (POST /api/vendors/:vendor/otp) or a
+ * terminal prompt. Codes are waited for per session key (see
+ * sessionManager.getSessionKey), so each account of a vendor gets its own.
+ * Emits 'challenge', 'submitted', 'expired' and 'cancelled' events with the
+ * challenge ({ key, vendor, accountId, name, requestedAt, expiresAt }).
+ */
+class OtpBroker extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = new Map();
+    this.terminalPrompt = false;
+  }
+
+  /**
+   * Wait for a one-time code for a vendor account
+   * @param {Object} login - The login asking for the code
+   * @param {string} login.vendor - Vendor key (see src/vendors)
+   * @param {string} [login.accountId] - Account logging in, when it isn't the vendor's default account
+   * @param {string} login.name - Display name of the vendor (and account)
+   * @param {number} [timeoutMs] - How long to wait for the code (defaults to OTP_TIMEOUT_MINUTES)
+   * @returns {Promise<string>} The code
+   * @throws {Error} If no code was entered in time
+   */
+  requestCode({ vendor, accountId = null, name }, timeoutMs = parseFloat(process.env.OTP_TIMEOUT_MINUTES || DEFAULT_OTP_TIMEOUT_MINUTES) * 60 * 1000) {
+    const key = sessionManager.getSessionKey(vendor, accountId);
+
+    if (this.pending.has(key)) {
+      this.cancel(key, 'a new code was requested');
+    }
+
+    return new Promise((resolve, reject) => {
+      const requestedAt = new Date();
+      const challenge = {
+        key,
+        vendor,
+        accountId,
+        name,
+        requestedAt: requestedAt.toISOString(),
+        expiresAt: new Date(requestedAt.getTime() + timeoutMs).toISOString()
+      };
+
+      const timer = setTimeout(() => {
+        this.pending.delete(key);
+        logger.error(`No one-time code entered for ${name} within ${Math.round(timeoutMs / 60000)} minutes`);
+        this.emit('expired', challenge);
+        reject(new Error(`Timed out waiting for the ${name} one-time code`));
+      }, timeoutMs);
+
+      this.pending.set(key, { challenge, resolve, reject, timer });
+      logger.warn(
+        `${name} is waiting for a one-time code: POST /api/vendors/${vendor}/otp with ` +
+        `{ "code": "..."${accountId ? `, "accountId": "${accountId}"` : ''} }`
+      );
+      this.emit('challenge', challenge);
+    });
+  }
+
+  /**
+   * Hand a one-time code to the vendor login waiting for it
+   * @param {string} key - Session key of the login (see sessionManager.getSessionKey)
+   * @param {string} code - One-time code
+   * @returns {boolean} Whether a login was waiting for the code
+   */
+  submitCode(key, code) {
+    const entry = this.pending.get(key);
+
+    if (!entry) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(key);
+    logger.info(`Received one-time code for ${entry.challenge.name}`);
+    this.emit('submitted', entry.challenge);
+    entry.resolve(String(code).trim());
+    return true;
+  }
+
+  /**
+   * Stop waiting for a login's code
+   * @param {string} key - Session key of the login
+   * @param {string} reason - Why the wait is cancelled
+   */
+  cancel(key, reason) {
+    const entry = this.pending.get(key);
+
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.pending.delete(key);
+    this.emit('cancelled', entry.challenge);
+    entry.reject(new Error(`One-time code request for ${entry.challenge.name} cancelled: ${reason}`));
+  }
+
+  /**
+   * Stop waiting for every vendor's code, e.g. when a run finishes
+   * @param {string} reason - Why the waits are cancelled
+   */
+  cancelAll(reason) {
+    for (const key of [...this.pending.keys()]) {
+      this.cancel(key, reason);
+    }
+  }
+
+  /**
+   * Whether a vendor login is waiting for a code
+   * @param {string} key - Session key of the login (the vendor key for its default account)
+   * @returns {boolean} Whether the login is paused on a code
+   */
+  isPending(key) {
+    return this.pending.has(key);
+  }
+
+  /**
+   * List the logins waiting for a code
+   * @returns {Array<Object>} Challenges ({ key, vendor, accountId, name, requestedAt, expiresAt })
+   */
+  getPending() {
+    return [...this.pending.values()].map(entry => entry.challenge);
+  }
+
+  /**
+   * Wait until a vendor login hits a code challenge
+   * @param {string} key - Session key of the login
+   * @returns {Object} { promise, cancel }: the promise resolves with the challenge, cancel stops listening
+   */
+  waitForChallenge(key) {
+    let onChallenge;
+    const promise = new Promise((resolve) => {
+      onChallenge = (challenge) => {
+        if (challenge.key === key) {
+          resolve(challenge);
+        }
+      };
+      this.on('challenge', onChallenge);
+    });
+
+    return { promise, cancel: () => this.off('challenge', onChallenge) };
+  }
+
+  /**
+   * Ask for codes on the terminal as well, for runs started from the command line
+   */
+  enableTerminalPrompt() {
+    if (this.terminalPrompt || !process.stdin.isTTY) return;
+    this.terminalPrompt = true;
+
+    this.on('challenge', (challenge) => {
+      const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+      // Whichever comes first: the code typed here, or one sent to the API (or the wait ending)
+      const onSettled = (settled) => {
+        if (settled.key === challenge.key) {
+          stopListening();
+          rl.close();
+        }
+      };
+      const stopListening = () => {
+        this.off('submitted', onSettled);
+        this.off('expired', onSettled);
+        this.off('cancelled', onSettled);
+      };
+      this.on('submitted', onSettled);
+      this.on('expired', onSettled);
+      this.on('cancelled', onSettled);
+
+      rl.question(`Enter the one-time code for ${challenge.name}: `, (code) => {
+        stopListening();
+        rl.close();
+
+        if (code.trim()) {
+          this.submitCode(challenge.key, code);
+        }
+      });
+    });
+  }
+}
+
+export default new OtpBroker();
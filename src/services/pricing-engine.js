@@ -0,0 +1,1238 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import {
+  logger,
+  priceChangeLogger,
+  outdatedUrlLogger,
+  lowConfidenceLogger,
+  wrongProductLogger,
+  blockedUrlLogger
+} from '../utils/logger.js';
+import { generateNotesText } from '../utils/date-formatter.js';
+import { verifyProductIdentity } from '../utils/product-match.js';
+import defaultVendorRegistry from '../vendors/registry.js';
+import defaultOtpBroker from './otp-broker.js';
+import defaultRequestScheduler from './request-scheduler.js';
+import defaultEvidenceArchive from './evidence-archive.js';
+import defaultExtractionCache from './extraction-cache.js';
+
+// Multiplier applied to vendor prices to get the price with tax
+const TAX_MULTIPLIER = 1.15;
+
+/**
+ * Check whether an error was caused by the browser disconnecting
+ * @param {Error} error - The error to check
+ * @returns {boolean} Whether the error is a browser disconnection
+ */
+export function isBrowserDisconnectError(error) {
+  const message = error && error.message ? error.message : '';
+
+  return message.includes('disconnected') ||
+    message.includes('Target closed') ||
+    message.includes('Session closed') ||
+    message.includes('Protocol error');
+}
+
+/**
+ * Round a price to two decimal places
+ * @param {number} price - The price to round
+ * @returns {number} Rounded price
+ */
+function roundPrice(price) {
+  return Math.round(price * 100) / 100;
+}
+
+/**
+ * Send a pipeline event to a listener without letting listener errors break the run
+ * @param {Function} [onEvent] - Event listener
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
+ */
+async function emitEvent(onEvent, type, data) {
+  if (!onEvent) return;
+
+  try {
+    await onEvent(type, data);
+  } catch (error) {
+    logger.warn(`Error handling ${type} event: ${error.message}`);
+  }
+}
+
+/**
+ * Pricing engine that owns the scrape → extract → price → persist flow.
+ * Entry points (CLI scripts, API routes, tests) create one with the services
+ * they want to use and call into it instead of carrying their own pipeline.
+ */
+export class PricingEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Object} options.databaseService - Service used to read and persist pricing data
+   * @param {Object} options.scraperService - Service used to log in to vendors and capture product pages
+   * @param {Object} options.visionService - Service used to extract prices from screenshots (see src/services/vision.js)
+   * @param {Object} [options.vendorRegistry] - Registry of vendor adapters (defaults to src/vendors/registry.js)
+   * @param {Object} [options.otpBroker] - Broker for vendor one-time codes (defaults to src/services/otp-broker.js)
+   * @param {Object} [options.requestScheduler] - Per-site request pace and budget (defaults to src/services/request-scheduler.js)
+   * @param {Object} [options.evidenceArchive] - Archive for the pages prices were read from (defaults to src/services/evidence-archive.js)
+   * @param {Object} [options.extractionCache] - Cache of vision extractions (defaults to src/services/extraction-cache.js)
+   * @param {number} [options.priceChangeThreshold] - Percentage change that counts as significant
+   * @param {number} [options.minConfidence] - Extraction confidence (0-1) below which a price is held for review
+   * @param {number} [options.productMatchThreshold] - Share (0-1) of the material name the page title must contain
+   * @param {number} [options.blockedRetryAttempts] - Times item sources blocked by a bot challenge are retried after a run
+   * @param {number} [options.blockedRetryDelayMinutes] - Minutes after a run to retry blocked item sources
+   */
+  constructor(options = {}) {
+    this.databaseService = options.databaseService;
+    this.scraperService = options.scraperService;
+    this.visionService = options.visionService;
+    this.vendorRegistry = options.vendorRegistry || defaultVendorRegistry;
+    this.otpBroker = options.otpBroker || defaultOtpBroker;
+    this.requestScheduler = options.requestScheduler || defaultRequestScheduler;
+    this.evidenceArchive = options.evidenceArchive || defaultEvidenceArchive;
+    this.extractionCache = options.extractionCache || defaultExtractionCache;
+    this.priceChangeThreshold = options.priceChangeThreshold ||
+      parseInt(process.env.PRICE_CHANGE_THRESHOLD || '30', 10);
+    this.minConfidence = options.minConfidence ??
+      parseFloat(process.env.MIN_EXTRACTION_CONFIDENCE || '0.7');
+    this.productMatchThreshold = options.productMatchThreshold ??
+      parseFloat(process.env.PRODUCT_MATCH_THRESHOLD || '0.5');
+    this.blockedRetryAttempts = options.blockedRetryAttempts ??
+      parseInt(process.env.BLOCKED_RETRY_ATTEMPTS || '1', 10);
+    this.blockedRetryDelayMinutes = options.blockedRetryDelayMinutes ??
+      parseFloat(process.env.BLOCKED_RETRY_DELAY_MINUTES || '10');
+    this.pendingLogins = new Map();
+  }
+
+  /**
+   * Log in to every registered vendor that has a login. A vendor that asks for a
+   * one-time code is left waiting for it (its item sources are paused) while the
+   * other vendors are logged in and processed. Vendors without credentials are
+   * skipped, so they don't use up request budget on a login that can't succeed.
+   * @returns {Promise<Object>} Login result keyed by vendor adapter key: true, false, 'waiting-for-code' or 'no-credentials'
+   */
+  async loginToVendors() {
+    const results = {};
+
+    logger.info('Logging in to all sites before processing items');
+
+    for (const adapter of this.vendorRegistry.getLoginAdapters()) {
+      if (!await adapter.getCredentials()) {
+        results[adapter.key] = 'no-credentials';
+
+        if (adapter.requiresLogin) {
+          logger.warn(`No ${adapter.name} account is configured, skipping its login. ${adapter.name} items will be marked as outdated.`);
+        } else {
+          logger.info(`No ${adapter.name} account is configured, skipping its login and using public ${adapter.name} prices.`);
+        }
+
+        continue;
+      }
+
+      logger.info(`Logging in to ${adapter.name}`);
+      const challenge = this.otpBroker.waitForChallenge(adapter.key);
+      this.pendingLogins.delete(adapter.key);
+
+      try {
+        const login = this.scraperService.loginToVendor(adapter);
+        results[adapter.key] = await Promise.race([login, challenge.promise.then(() => 'waiting-for-code')]);
+
+        if (results[adapter.key] === 'waiting-for-code') {
+          logger.warn(`${adapter.name} is waiting for a one-time code, its items are paused until it is entered`);
+          this.resumeAfterCode(adapter, login);
+          continue;
+        }
+      } catch (error) {
+        logger.error(`Error logging in to ${adapter.name}: ${error.message}`);
+        results[adapter.key] = false;
+      } finally {
+        challenge.cancel();
+      }
+
+      if (results[adapter.key]) {
+        logger.info(`Successfully logged in to ${adapter.name}`);
+      } else if (adapter.requiresLogin) {
+        logger.error(`Failed to log in to ${adapter.name}. ${adapter.name} items will be marked as outdated.`);
+      } else {
+        logger.warn(`Failed to log in to ${adapter.name}. Continuing with public ${adapter.name} prices.`);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Keep track of a vendor login that was paused on a one-time code, so the item
+   * sources skipped meanwhile can be processed once it is through (see resumePaused)
+   * @param {VendorAdapter} adapter - Vendor adapter
+   * @param {Promise<boolean>} login - The paused login
+   */
+  resumeAfterCode(adapter, login) {
+    const settled = login
+      .then((success) => {
+        if (success) {
+          logger.info(`Logged in to ${adapter.name} with the one-time code, resuming ${adapter.name} items`);
+        } else {
+          logger.error(`Failed to log in to ${adapter.name} after the one-time code challenge`);
+        }
+
+        return success;
+      })
+      .catch((error) => {
+        logger.error(`Error finishing ${adapter.name} login: ${error.message}`);
+        return false;
+      });
+
+    this.pendingLogins.set(adapter.key, settled);
+  }
+
+  /**
+   * Load a product page logged in as each of several accounts of its vendor, every
+   * account in its own browser context, to compare the accounts' contract prices
+   * @param {string} url - Product page URL
+   * @param {Array<string>} accountIds - Accounts to compare (see credentials-cli.js)
+   * @param {Object} [options] - Comparison options
+   * @param {string} [options.productName] - Product name, helps the vision model find the price
+   * @returns {Promise<Array<Object>>} Price per account ({ accountId, price, perFoot, method, confidence, error })
+   */
+  async compareAccountPrices(url, accountIds, options = {}) {
+    const { productName = null } = options;
+    const adapter = this.vendorRegistry.findByUrl(url);
+
+    if (!adapter) {
+      throw new Error(`No vendor adapter handles ${url}`);
+    }
+
+    return Promise.all(accountIds.map(async (accountId) => {
+      const result = { accountId, price: null, perFoot: null, method: null, confidence: null, error: null };
+
+      try {
+        if (!await this.scraperService.loginToVendor(adapter, accountId)) {
+          result.error = `Failed to log in to ${adapter.name}`;
+          return result;
+        }
+
+        const capture = await this.scraperService.capturePage(url, `compare_${accountId}`, { account: accountId });
+
+        if (!capture || capture.blocked) {
+          result.error = capture ? `Blocked by a bot challenge: ${capture.blocked}` : 'Failed to load page';
+          return result;
+        }
+
+        let extraction = capture.extraction;
+
+        if (!extraction) {
+          extraction = await this.visionService.extractPriceFromImage(capture.screenshotPath, productName, {
+            hint: adapter.visionHint,
+            titleScreenshotPath: capture.titleScreenshotPath
+          });
+        }
+
+        for (const file of [capture.screenshotPath, capture.titleScreenshotPath].filter(Boolean)) {
+          await fs.promises.unlink(file).catch((error) => {
+            logger.warn(`Failed to delete screenshot ${file}: ${error.message}`);
+          });
+        }
+
+        if (!extraction || extraction.price === null) {
+          result.error = 'Failed to extract price';
+          return result;
+        }
+
+        const { price, perFoot, method, confidence } = extraction;
+        return { ...result, price, perFoot, method, confidence };
+      } catch (error) {
+        logger.error(`Error comparing ${adapter.name} account ${accountId}: ${error.message}`);
+        result.error = error.message;
+        return result;
+      }
+    }));
+  }
+
+  /**
+   * Group item sources by domain
+   * @param {Array} itemSources - Array of item sources
+   * @returns {Object} Object with domains as keys and arrays of item sources as values
+   */
+  groupItemSourcesByDomain(itemSources) {
+    const groups = {};
+
+    for (const source of itemSources) {
+      try {
+        const url = new URL(source.url);
+        const domain = url.hostname;
+
+        if (!groups[domain]) {
+          groups[domain] = [];
+        }
+
+        groups[domain].push(source);
+      } catch (error) {
+        logger.error(`Invalid URL for item source ${source.id}: ${source.url}`);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Mark an item source URL as outdated and record it
+   * @param {Object} itemSource - The item source
+   * @param {Object} materialItem - The material item
+   * @returns {Promise<Object>} Outdated URL entry
+   */
+  async markOutdated(itemSource, materialItem) {
+    await this.databaseService.markUrlAsOutdated(itemSource.id);
+    outdatedUrlLogger.info(`Item source ${itemSource.id} (${itemSource.url}) for ${materialItem.name} marked as outdated`);
+
+    return {
+      id: itemSource.id,
+      url: itemSource.url,
+      materialItemName: materialItem.name
+    };
+  }
+
+  /**
+   * Flag an item source whose page shows a different product and record it
+   * @param {Object} itemSource - The item source
+   * @param {Object} materialItem - The material item
+   * @param {Object} extraction - The extraction (from the markup or the vision service)
+   * @param {Object} identity - Result of verifyProductIdentity
+   * @returns {Promise<Object>} Wrong product entry
+   */
+  async markWrongProduct(itemSource, materialItem, extraction, identity) {
+    await this.databaseService.markAsWrongProduct(itemSource.id);
+    wrongProductLogger.info(
+      `Item source ${itemSource.id} (${itemSource.url}) for ${materialItem.name} shows a different product: ${identity.reason}`
+    );
+
+    return {
+      id: itemSource.id,
+      url: itemSource.url,
+      materialItemName: materialItem.name,
+      materialItemSku: materialItem.sku || null,
+      pageTitle: extraction.productTitle,
+      pageSku: extraction.productSku || null,
+      extractedPrice: extraction.price,
+      reason: identity.reason
+    };
+  }
+
+  /**
+   * Record an extraction whose confidence is too low to write to the item source
+   * @param {Object} itemSource - The item source
+   * @param {Object} materialItem - The material item
+   * @param {Object} extraction - The extraction (from the markup or the vision service)
+   * @returns {Object} Low-confidence entry
+   */
+  flagLowConfidence(itemSource, materialItem, extraction) {
+    const vendorName = itemSource.sources ? itemSource.sources.name : 'Unknown Vendor';
+
+    lowConfidenceLogger.info(
+      `Item source ${itemSource.id} (${itemSource.url}) for ${materialItem.name} from ${vendorName}: ` +
+      `price ${extraction.price} held for review (confidence ${extraction.confidence}, ` +
+      `page title "${extraction.productTitle || 'unknown'}")`
+    );
+
+    return {
+      id: itemSource.id,
+      url: itemSource.url,
+      materialItemName: materialItem.name,
+      vendor: vendorName,
+      currentPrice: itemSource.sale_price,
+      extraction
+    };
+  }
+
+  /**
+   * Record an item source whose vendor answered with a bot challenge or block page.
+   * The URL is left alone: the page never showed the product, so it says nothing about it.
+   * @param {Object} itemSource - The item source
+   * @param {Object} materialItem - The material item
+   * @param {string} vendorName - The vendor's name (or domain)
+   * @param {string} reason - What gave the challenge away
+   * @returns {Object} Blocked entry (retryAt is set when a retry is scheduled)
+   */
+  markBlocked(itemSource, materialItem, vendorName, reason) {
+    logger.warn(`Item source ${itemSource.id} blocked by ${vendorName}: ${reason}`);
+    blockedUrlLogger.info(`Item source ${itemSource.id} (${itemSource.url}) for ${materialItem.name} blocked by ${vendorName}: ${reason}`);
+
+    return {
+      id: itemSource.id,
+      url: itemSource.url,
+      materialItemName: materialItem.name,
+      vendor: vendorName,
+      reason,
+      retryAt: null
+    };
+  }
+
+  /**
+   * Record an item source skipped, without touching it, because its vendor is
+   * waiting for a one-time code or has used up its daily request budget
+   * @param {Object} itemSource - The item source
+   * @param {Object} materialItem - The material item
+   * @param {string} vendorName - The vendor's name (or domain)
+   * @param {string} reason - Why the item source is skipped
+   * @param {string} [awaitingCode] - Session key of the login waiting for a one-time code, if that is the reason
+   * @returns {Object} Paused entry
+   */
+  markPaused(itemSource, materialItem, vendorName, reason, awaitingCode = null) {
+    logger.warn(`Skipping item source ${itemSource.id}: ${reason}`);
+
+    return {
+      id: itemSource.id,
+      url: itemSource.url,
+      materialItemName: materialItem.name,
+      vendor: vendorName,
+      reason,
+      awaitingCode
+    };
+  }
+
+  /**
+   * Process a single item source
+   * @param {Object} itemSource - The item source to process
+   * @param {Object} materialItem - The material item
+   * @param {Object} [options] - Processing options
+   * @param {Function} [options.onEvent] - Called with (type, data) as the item source moves through the pipeline
+   * @param {string} [options.runId] - ID of the run, recorded with the price history
+   * @returns {Promise<Object>} Processing result
+   */
+  async processItemSource(itemSource, materialItem, options = {}) {
+    const { onEvent, runId = null } = options;
+    const result = {
+      id: itemSource.id,
+      materialItemId: materialItem.id,
+      materialItemName: materialItem.name,
+      success: false,
+      outdated: null,
+      priceChange: null,
+      lowConfidence: null,
+      wrongProduct: null,
+      paused: null,
+      blocked: null,
+      method: null,
+      extractionCache: null,
+      identity: null,
+      oldPrice: itemSource.sale_price,
+      newPrice: null,
+      priceWithTax: null,
+      updatedItemSource: null,
+      error: null
+    };
+
+    try {
+      logger.info(`Processing item source ${itemSource.id} for material item ${materialItem.id}`);
+
+      await emitEvent(onEvent, 'item-started', {
+        itemSourceId: itemSource.id,
+        materialItemId: materialItem.id,
+        materialItemName: materialItem.name,
+        url: itemSource.url
+      });
+
+      // Leave the URL alone while the vendor's login waits for a one-time code,
+      // or once the site has had all the requests it gets today
+      const adapter = this.vendorRegistry.findByUrl(itemSource.url);
+      const domain = new URL(itemSource.url).hostname;
+      let pauseReason = null;
+      let awaitingCode = null;
+
+      if (adapter && this.otpBroker.isPending(adapter.key)) {
+        pauseReason = `${adapter.name} login is waiting for a one-time code`;
+        awaitingCode = adapter.key;
+      } else if (await this.requestScheduler.getRemainingBudget(this.requestScheduler.getSiteKey(domain)) === 0) {
+        pauseReason = `the daily request budget for ${adapter ? adapter.name : domain} is used up`;
+      }
+
+      if (pauseReason) {
+        result.paused = this.markPaused(itemSource, materialItem, adapter ? adapter.name : domain, pauseReason, awaitingCode);
+        result.error = pauseReason;
+        await emitEvent(onEvent, 'item-paused', result.paused);
+        return result;
+      }
+
+      // Load the product page, the scraper reads the price from its markup when it can
+      const capture = await this.scraperService.capturePage(itemSource.url, itemSource.id);
+
+      if (!capture) {
+        logger.error(`Failed to load page for item source ${itemSource.id}`);
+        result.outdated = await this.markOutdated(itemSource, materialItem);
+        result.error = 'Failed to load page';
+        await emitEvent(onEvent, 'url-outdated', { ...result.outdated, reason: result.error });
+        return result;
+      }
+
+      // A challenge page instead of the product: keep the URL and try again later
+      if (capture.blocked) {
+        result.blocked = this.markBlocked(itemSource, materialItem, adapter ? adapter.name : domain, capture.blocked);
+        result.error = `Blocked by a bot challenge: ${capture.blocked}`;
+        await emitEvent(onEvent, 'url-blocked', result.blocked);
+        return result;
+      }
+
+      const { screenshotPath, titleScreenshotPath = null } = capture;
+      let extraction = capture.extraction;
+
+      // Keep the page as evidence of the price, in case it is disputed later
+      const evidence = await this.evidenceArchive.archive({
+        itemSourceId: itemSource.id,
+        runId,
+        url: itemSource.url,
+        finalUrl: capture.finalUrl,
+        screenshotPath,
+        titleScreenshotPath,
+        html: capture.html,
+        resourcePolicy: capture.resourcePolicy
+      });
+
+      // Fall back to the vision model when the markup had no readable price
+      if (!extraction) {
+        await emitEvent(onEvent, 'screenshot-taken', {
+          itemSourceId: itemSource.id,
+          materialItemId: materialItem.id,
+          screenshotPath,
+          titleScreenshotPath
+        });
+
+        const hint = adapter ? adapter.visionHint : null;
+
+        // A price area that looks exactly as it did at its last extraction still shows that price
+        const cacheKey = this.extractionCache.isEnabled()
+          ? await this.extractionCache.getKey({
+            url: itemSource.url,
+            screenshotPath,
+            titleScreenshotPath,
+            productName: materialItem.name,
+            hint
+          })
+          : null;
+
+        extraction = await this.extractionCache.get(cacheKey);
+
+        if (extraction) {
+          logger.info(`Reusing the extraction from ${extraction.cachedAt} for item source ${itemSource.id}, its price area is unchanged`);
+          result.extractionCache = 'hit';
+        } else {
+          extraction = await this.visionService.extractPriceFromImage(screenshotPath, materialItem.name, {
+            hint,
+            titleScreenshotPath
+          });
+          // Without the cache there is no miss, every screenshot goes to the providers
+          result.extractionCache = this.extractionCache.isEnabled() ? 'miss' : null;
+
+          // Uncertain reads get another try next time
+          if (extraction && extraction.price !== null && extraction.confidence >= this.minConfidence) {
+            await this.extractionCache.set(cacheKey, extraction);
+          }
+        }
+      }
+
+      // Clean up screenshots, the archive has its own copies
+      for (const file of [screenshotPath, titleScreenshotPath].filter(Boolean)) {
+        try {
+          await fs.promises.unlink(file);
+        } catch (error) {
+          logger.warn(`Failed to delete screenshot ${file}: ${error.message}`);
+        }
+      }
+
+      if (!extraction || extraction.price === null) {
+        logger.error(`Failed to extract price for item source ${itemSource.id}`);
+        result.outdated = await this.markOutdated(itemSource, materialItem);
+        result.error = 'Failed to extract price';
+        await emitEvent(onEvent, 'url-outdated', { ...result.outdated, reason: result.error });
+        return result;
+      }
+
+      const { price, perFoot, totalFeet, confidence, method } = extraction;
+      result.method = method;
+
+      await emitEvent(onEvent, 'price-extracted', {
+        itemSourceId: itemSource.id,
+        materialItemId: materialItem.id,
+        ...extraction
+      });
+
+      // Make sure the page still shows our product, vendor URLs can redirect to other products
+      const identity = verifyProductIdentity(materialItem, extraction, this.productMatchThreshold);
+      result.identity = identity;
+
+      if (identity.status === 'mismatch') {
+        logger.warn(`Item source ${itemSource.id} shows a different product than ${materialItem.name}: ${identity.reason}`);
+        result.wrongProduct = await this.markWrongProduct(itemSource, materialItem, extraction, identity);
+        result.error = 'Page shows a different product';
+        await emitEvent(onEvent, 'wrong-product', result.wrongProduct);
+        return result;
+      }
+
+      if (identity.status === 'unverified') {
+        logger.warn(`Could not verify the product for item source ${itemSource.id}: ${identity.reason}`);
+      }
+
+      // The URL shows our product again (fixed by hand, or the vendor's redirect is gone)
+      if (identity.status === 'matched' && itemSource.wrong_product) {
+        await this.databaseService.clearWrongProduct(itemSource.id);
+      }
+
+      // Keep uncertain prices out of item_sources until someone has checked them
+      if (confidence < this.minConfidence) {
+        logger.warn(
+          `Extraction confidence ${confidence} for item source ${itemSource.id} is below ` +
+          `${this.minConfidence}, holding price ${price} for review`
+        );
+        result.lowConfidence = this.flagLowConfidence(itemSource, materialItem, extraction);
+        result.error = 'Extraction confidence too low';
+        await emitEvent(onEvent, 'low-confidence', result.lowConfidence);
+        return result;
+      }
+
+      // Calculate price with tax and round to two decimal places
+      const priceWithTax = roundPrice(roundPrice(price) * TAX_MULTIPLIER);
+
+      // Check for significant price change
+      if (itemSource.sale_price !== null && itemSource.sale_price !== undefined) {
+        const percentChange = Math.abs((price - itemSource.sale_price) / itemSource.sale_price * 100);
+
+        if (percentChange > this.priceChangeThreshold) {
+          const vendorName = itemSource.sources ? itemSource.sources.name : 'Unknown Vendor';
+          priceChangeLogger.info(
+            `Significant price change detected for ${materialItem.name} from ${vendorName}: ` +
+            `${itemSource.sale_price} -> ${price} (${percentChange.toFixed(2)}%)`
+          );
+
+          result.priceChange = {
+            materialName: materialItem.name,
+            vendor: vendorName,
+            oldPrice: itemSource.sale_price,
+            newPrice: price,
+            percentChange: percentChange.toFixed(2)
+          };
+
+          await emitEvent(onEvent, 'price-change', {
+            itemSourceId: itemSource.id,
+            ...result.priceChange
+          });
+        }
+      }
+
+      // Update item source with new pricing
+      const updatedItemSource = await this.databaseService.updateItemSource(itemSource.id, price, priceWithTax);
+
+      logger.info(`Updated item source ${itemSource.id} with price ${price} (${priceWithTax} with tax)`);
+
+      // Keep every extracted price, item_sources only holds the latest one
+      await this.recordPriceHistory({
+        itemSourceId: itemSource.id,
+        materialItemId: materialItem.id,
+        sourceId: itemSource.source_id,
+        salePrice: price,
+        priceWithTax,
+        perFoot,
+        totalFeet,
+        confidence,
+        method,
+        priceOptions: extraction.priceOptions || null,
+        priceOption: extraction.priceOption || null,
+        screenshotPath: evidence ? evidence.screenshot : null,
+        resourcePolicy: capture.resourcePolicy || null,
+        runId
+      });
+
+      await emitEvent(onEvent, 'item-source-updated', {
+        itemSourceId: itemSource.id,
+        materialItemId: materialItem.id,
+        price,
+        priceWithTax
+      });
+
+      result.success = true;
+      result.newPrice = price;
+      result.priceWithTax = priceWithTax;
+      result.updatedItemSource = updatedItemSource;
+
+      return result;
+    } catch (error) {
+      // Let the caller decide how to recover from a lost browser
+      if (isBrowserDisconnectError(error)) {
+        throw new Error(`Browser disconnection during item source processing: ${error.message}`);
+      }
+
+      logger.error(`Error processing item source ${itemSource.id}: ${error.message}`);
+      result.error = error.message;
+      return result;
+    }
+  }
+
+  /**
+   * Append an extracted price to the price history
+   * @param {Object} entry - Price history entry
+   * @returns {Promise<Object|null>} Recorded entry or null if recording failed
+   */
+  async recordPriceHistory(entry) {
+    try {
+      return await this.databaseService.recordPriceHistory(entry);
+    } catch (error) {
+      // The item source already has its new price, so a history failure is not fatal
+      logger.error(`Failed to record price history for item source ${entry.itemSourceId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Update a material item with the lowest and highest prices of its item sources
+   * @param {Object} materialItem - The material item
+   * @param {Array} updatedItemSources - Item sources updated during this run
+   * @returns {Promise<Object|null>} Pricing summary or null if there was nothing to update
+   */
+  async updateMaterialItemPricing(materialItem, updatedItemSources) {
+    // Find lowest and highest priced item sources
+    let lowestPriceSource = null;
+    let highestPriceSource = null;
+
+    for (const source of updatedItemSources) {
+      if (!lowestPriceSource || source.price_with_tax < lowestPriceSource.price_with_tax) {
+        lowestPriceSource = source;
+      }
+
+      if (!highestPriceSource || source.price_with_tax > highestPriceSource.price_with_tax) {
+        highestPriceSource = source;
+      }
+    }
+
+    if (!lowestPriceSource || !highestPriceSource) {
+      return null;
+    }
+
+    // Get all sources to look up vendor names
+    const allSources = await this.databaseService.getAllSources();
+
+    const lowestPriceSourceInfo = allSources.find(s => s.id === lowestPriceSource.source_id);
+    const highestPriceSourceInfo = allSources.find(s => s.id === highestPriceSource.source_id);
+
+    const lowestPriceVendorName = lowestPriceSourceInfo ? lowestPriceSourceInfo.name : 'Unknown Vendor';
+    const highestPriceVendorName = highestPriceSourceInfo ? highestPriceSourceInfo.name : 'Unknown Vendor';
+
+    // Generate notes text
+    const notes = generateNotesText(lowestPriceVendorName, highestPriceVendorName);
+
+    logger.info(
+      `Updating material item ${materialItem.id} with: cost=${lowestPriceSource.price_with_tax}, ` +
+      `cheapest item source=${lowestPriceSource.id}, sale_price=${highestPriceSource.price_with_tax}`
+    );
+
+    // cheapest_vendor_id references item_sources.id, not sources.id
+    await this.databaseService.updateMaterialItem(
+      materialItem.id,
+      lowestPriceSource.price_with_tax,
+      lowestPriceSource.id,
+      highestPriceSource.price_with_tax,
+      notes
+    );
+
+    logger.info(`Updated material item ${materialItem.id} with new pricing information`);
+
+    return {
+      lowestPriceSource,
+      highestPriceSource,
+      lowestPriceVendorName,
+      highestPriceVendorName
+    };
+  }
+
+  /**
+   * Process all item sources for a material item
+   * @param {Object} materialItem - The material item to process
+   * @param {Object} [options] - Processing options
+   * @param {Function} [options.onDomain] - Called with each domain when its item sources start processing
+   * @param {Function} [options.onEvent] - Called with (type, data) for every pipeline event
+   * @param {string} [options.runId] - ID of the run this item belongs to (generated if omitted)
+   * @param {Object} [options.retryOf] - Earlier result for this item: only some of its item sources are
+   *   processed again, and the new outcomes are combined with the earlier ones
+   * @param {Array<string>} [options.retrySourceIds] - Item sources of retryOf to process again (defaults to the blocked ones)
+   * @returns {Promise<Object>} Result of processing
+   */
+  async processMaterialItem(materialItem, options = {}) {
+    const { onDomain, onEvent, runId = crypto.randomUUID(), retryOf = null } = options;
+    const retryIds = new Set(retryOf ? options.retrySourceIds || retryOf.blocked.map(entry => entry.id) : []);
+
+    try {
+      logger.info(`Processing material item ${materialItem.id}: ${materialItem.name}`);
+
+      // Fetch item sources for this material item
+      let itemSources = await this.databaseService.fetchItemSources(materialItem.id);
+
+      if (retryOf) {
+        itemSources = itemSources.filter(source => retryIds.has(source.id));
+      } else if (itemSources.length === 0) {
+        logger.warn(`No item sources found for material item ${materialItem.id}`);
+        return {
+          success: false,
+          skipped: true,
+          message: `No item sources found for material item ${materialItem.id}`,
+          materialItem,
+          updatedItemSources: [],
+          outdatedUrls: [],
+          priceChanges: [],
+          lowConfidence: [],
+          wrongProducts: [],
+          paused: [],
+          blocked: []
+        };
+      }
+
+      // Group item sources by domain
+      const domainGroups = this.groupItemSourcesByDomain(itemSources);
+
+      // A retry carries on from the earlier outcomes, except those of the item sources it redoes
+      const carried = (list) => (retryOf ? retryOf[list].filter(entry => !retryIds.has(entry.id)) : []);
+      const updatedItemSources = carried('updatedItemSources');
+      const outdatedUrls = carried('outdatedUrls');
+      const priceChanges = carried('priceChanges');
+      const lowConfidence = carried('lowConfidence');
+      const wrongProducts = carried('wrongProducts');
+      const paused = carried('paused');
+      const blocked = carried('blocked');
+      const cacheStats = {
+        hits: retryOf ? retryOf.cacheHits || 0 : 0,
+        misses: retryOf ? retryOf.cacheMisses || 0 : 0
+      };
+
+      // Domains run side by side, each domain's sources one after another; the
+      // scraper service limits how many pages load at once overall and per site
+      const domainResults = await Promise.all(Object.entries(domainGroups).map(async ([domain, sources]) => {
+        logger.info(`Processing ${sources.length} item sources for domain ${domain}`);
+
+        const remainingBudget = await this.requestScheduler.getRemainingBudget(this.requestScheduler.getSiteKey(domain));
+
+        if (remainingBudget < sources.length) {
+          logger.warn(`${domain} has ${remainingBudget} requests left today for ${sources.length} item sources, the rest are paused`);
+        }
+
+        if (onDomain) {
+          await onDomain(domain);
+        }
+
+        const results = [];
+
+        for (const source of sources) {
+          results.push(await this.processItemSource(source, materialItem, { onEvent, runId }));
+        }
+
+        return results;
+      }));
+
+      for (const results of domainResults) {
+        for (const sourceResult of results) {
+          if (sourceResult.success) {
+            updatedItemSources.push(sourceResult.updatedItemSource);
+          }
+
+          if (sourceResult.outdated) {
+            outdatedUrls.push(sourceResult.outdated);
+          }
+
+          if (sourceResult.priceChange) {
+            priceChanges.push(sourceResult.priceChange);
+          }
+
+          if (sourceResult.lowConfidence) {
+            lowConfidence.push(sourceResult.lowConfidence);
+          }
+
+          if (sourceResult.wrongProduct) {
+            wrongProducts.push(sourceResult.wrongProduct);
+          }
+
+          if (sourceResult.paused) {
+            paused.push(sourceResult.paused);
+          }
+
+          if (sourceResult.blocked) {
+            blocked.push(sourceResult.blocked);
+          }
+
+          if (sourceResult.extractionCache === 'hit') {
+            cacheStats.hits++;
+          } else if (sourceResult.extractionCache === 'miss') {
+            cacheStats.misses++;
+          }
+        }
+      }
+
+      const pricing = await this.updateMaterialItemPricing(materialItem, updatedItemSources);
+
+      if (!pricing) {
+        logger.warn(`Could not update material item ${materialItem.id} due to missing pricing information`);
+        return {
+          success: false,
+          message: `Could not update material item ${materialItem.id} due to missing pricing information`,
+          materialItem,
+          updatedItemSources,
+          outdatedUrls,
+          priceChanges,
+          lowConfidence,
+          wrongProducts,
+          paused,
+          blocked,
+          cacheHits: cacheStats.hits,
+          cacheMisses: cacheStats.misses
+        };
+      }
+
+      return {
+        success: true,
+        message: `Updated material item ${materialItem.id} with new pricing information`,
+        materialItem,
+        updatedItemSources,
+        outdatedUrls,
+        priceChanges,
+        lowConfidence,
+        wrongProducts,
+        paused,
+        blocked,
+        cacheHits: cacheStats.hits,
+        cacheMisses: cacheStats.misses,
+        ...pricing
+      };
+    } catch (error) {
+      if (isBrowserDisconnectError(error)) {
+        throw error;
+      }
+
+      logger.error(`Error processing material item ${materialItem.id}: ${error.message}`);
+
+      return {
+        success: false,
+        message: `Error processing material item ${materialItem.id}: ${error.message}`,
+        materialItem,
+        updatedItemSources: [],
+        outdatedUrls: [],
+        priceChanges: [],
+        lowConfidence: [],
+        wrongProducts: [],
+        paused: [],
+        blocked: [],
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create an empty run summary
+   * @param {string} [runId] - ID of the run
+   * @returns {Object} Run summary
+   */
+  createSummary(runId = null) {
+    return {
+      runId,
+      success: 0,
+      failed: 0,
+      skipped: 0,
+      outdated: 0,
+      lowConfidence: 0,
+      wrongProduct: 0,
+      paused: 0,
+      blocked: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      details: [],
+      outdatedUrls: [],
+      priceChanges: [],
+      lowConfidenceResults: [],
+      wrongProducts: [],
+      pausedSources: [],
+      blockedSources: [],
+      blockedRetry: null
+    };
+  }
+
+  /**
+   * Add a material item result to a run summary
+   * @param {Object} summary - Run summary to update
+   * @param {Object} result - Result of processMaterialItem
+   * @returns {Object} The updated summary
+   */
+  addToSummary(summary, result) {
+    if (result.success) {
+      summary.success++;
+    } else if (result.skipped) {
+      summary.skipped++;
+    } else {
+      summary.failed++;
+    }
+
+    summary.details.push(result);
+
+    if (result.outdatedUrls && result.outdatedUrls.length > 0) {
+      summary.outdated += result.outdatedUrls.length;
+      summary.outdatedUrls.push(...result.outdatedUrls);
+    }
+
+    if (result.priceChanges && result.priceChanges.length > 0) {
+      summary.priceChanges.push(...result.priceChanges);
+    }
+
+    if (result.lowConfidence && result.lowConfidence.length > 0) {
+      summary.lowConfidence += result.lowConfidence.length;
+      summary.lowConfidenceResults.push(...result.lowConfidence);
+    }
+
+    if (result.wrongProducts && result.wrongProducts.length > 0) {
+      summary.wrongProduct += result.wrongProducts.length;
+      summary.wrongProducts.push(...result.wrongProducts);
+    }
+
+    if (result.paused && result.paused.length > 0) {
+      summary.paused += result.paused.length;
+      summary.pausedSources.push(...result.paused);
+    }
+
+    if (result.blocked && result.blocked.length > 0) {
+      summary.blocked += result.blocked.length;
+      summary.blockedSources.push(...result.blocked);
+    }
+
+    summary.cacheHits += result.cacheHits || 0;
+    summary.cacheMisses += result.cacheMisses || 0;
+
+    return summary;
+  }
+
+  /**
+   * Whether a material item result has item sources paused on a vendor login that
+   * waits for a one-time code, to process once the login is through
+   * @param {Object} result - Result of processMaterialItem
+   * @returns {boolean} Whether to hold the result back for resumePaused
+   */
+  shouldResumePaused(result) {
+    return !!result.paused && result.paused.some(entry => entry.awaitingCode && this.pendingLogins.has(entry.awaitingCode));
+  }
+
+  /**
+   * Process the item sources that were paused while their vendor's login waited for a
+   * one-time code, once the login is through. Item sources of a login that failed or
+   * timed out stay paused.
+   * @param {Array<Object>} results - Results of processMaterialItem
+   * @param {Object} [options] - Processing options
+   * @param {Function} [options.onEvent] - Called with (type, data) for every pipeline event
+   * @param {string} [options.runId] - ID of the run
+   * @returns {Promise<Array<Object>>} Result of each material item, with the paused item sources processed
+   */
+  async resumePaused(results, options = {}) {
+    const { onEvent, runId } = options;
+    const resumed = [];
+
+    for (const previous of results) {
+      const resumeIds = [];
+
+      for (const entry of previous.paused || []) {
+        const login = entry.awaitingCode ? this.pendingLogins.get(entry.awaitingCode) : null;
+
+        // Waits for the code to be entered, the login gives up after OTP_TIMEOUT_MINUTES
+        if (login && await login) {
+          resumeIds.push(entry.id);
+        }
+      }
+
+      if (resumeIds.length === 0) {
+        resumed.push(previous);
+        continue;
+      }
+
+      logger.info(`Resuming ${resumeIds.length} paused item sources of material item ${previous.materialItem.id}`);
+
+      try {
+        resumed.push(await this.processMaterialItem(previous.materialItem, {
+          onEvent,
+          runId,
+          retryOf: previous,
+          retrySourceIds: resumeIds
+        }));
+      } catch (error) {
+        logger.error(`Failed to resume material item ${previous.materialItem.id}: ${error.message}`);
+        resumed.push(previous);
+      }
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Plan the retry of a run's item sources that were blocked by a bot challenge, for
+   * BLOCKED_RETRY_DELAY_MINUTES from now. Nothing waits for it here: the caller starts
+   * retryBlocked once the time has come, so the browser can be closed in between.
+   * @param {Object} summary - Run summary (see processMaterialItems)
+   * @param {number} attempt - Retries the blocked item sources have already had
+   * @returns {Object|null} Retry ({ attempt, retryAt }) or null if none is due
+   */
+  planBlockedRetry(summary, attempt) {
+    if (summary.blocked === 0 || attempt >= this.blockedRetryAttempts) {
+      return null;
+    }
+
+    const retryAt = new Date(Date.now() + this.blockedRetryDelayMinutes * 60 * 1000).toISOString();
+    summary.blockedSources.forEach(entry => { entry.retryAt = retryAt; });
+
+    logger.info(`Retrying ${summary.blocked} blocked item sources at ${retryAt} (attempt ${attempt + 1}/${this.blockedRetryAttempts})`);
+
+    return { attempt: attempt + 1, retryAt };
+  }
+
+  /**
+   * Retry the item sources a run found blocked by a bot challenge (see summary.blockedRetry).
+   * Only the blocked item sources are loaded again; their material items are counted with
+   * the combined outcome. Vendors must be logged in again if the browser was closed.
+   * @param {Object} summary - Summary of the run with blocked item sources
+   * @param {Object} [options] - Processing options (see processMaterialItems)
+   * @returns {Promise<Object>} Summary of the retried material items
+   */
+  async retryBlocked(summary, options = {}) {
+    const results = summary.details.filter(result => result.blocked && result.blocked.length > 0);
+    const attempt = summary.blockedRetry ? summary.blockedRetry.attempt : 1;
+
+    logger.info(`Retrying the blocked item sources of ${results.length} material items (attempt ${attempt}/${this.blockedRetryAttempts})`);
+
+    return this.processMaterialItems(results.map(result => result.materialItem), {
+      runId: summary.runId,
+      ...options,
+      retryOf: results,
+      attempt
+    });
+  }
+
+  /**
+   * Replace the results of the material items a retry processed again in a run summary
+   * @param {Object} summary - Summary of the run
+   * @param {Object} retried - Summary returned by retryBlocked
+   * @returns {Object} Combined run summary, with the retry's blockedRetry
+   */
+  mergeRetrySummary(summary, retried) {
+    const retriedIds = new Set(retried.details.map(result => result.materialItem.id));
+    const merged = this.createSummary(summary.runId);
+
+    for (const result of summary.details) {
+      if (!retriedIds.has(result.materialItem.id)) {
+        this.addToSummary(merged, result);
+      }
+    }
+
+    for (const result of retried.details) {
+      this.addToSummary(merged, result);
+    }
+
+    merged.blockedRetry = retried.blockedRetry;
+
+    return merged;
+  }
+
+  /**
+   * Process a list of material items one after another, then process the item sources
+   * paused on a one-time code (see resumePaused). Blocked item sources are not waited
+   * for: the summary's blockedRetry says when to call retryBlocked.
+   * @param {Array} materialItems - Material items to process
+   * @param {Object} [options] - Processing options
+   * @param {Function} [options.onProgress] - Called with a progress snapshot as the run advances
+   * @param {Function} [options.onEvent] - Called with (type, data) for every pipeline event
+   * @param {string} [options.runId] - ID of the run (generated if omitted)
+   * @param {Array<Object>} [options.retryOf] - Earlier result of each material item whose blocked item sources are retried
+   * @param {number} [options.attempt] - Retries of blocked item sources this run is (0 for a normal run)
+   * @returns {Promise<Object>} Run summary
+   */
+  async processMaterialItems(materialItems, options = {}) {
+    const { onProgress, onEvent, runId = crypto.randomUUID(), retryOf = null, attempt = 0 } = options;
+    const summary = this.createSummary(runId);
+    const heldBack = [];
+    let currentItem = null;
+    let currentDomain = null;
+    let done = 0;
+
+    const reportProgress = async () => {
+      if (!onProgress) return;
+
+      try {
+        await onProgress({
+          total: materialItems.length,
+          done,
+          currentItem,
+          currentDomain,
+          success: summary.success,
+          failed: summary.failed,
+          skipped: summary.skipped,
+          outdated: summary.outdated,
+          lowConfidence: summary.lowConfidence,
+          wrongProduct: summary.wrongProduct,
+          paused: summary.paused + heldBack.reduce((count, result) => count + result.paused.length, 0),
+          blocked: summary.blocked + heldBack.reduce((count, result) => count + result.blocked.length, 0),
+          cacheHits: summary.cacheHits + heldBack.reduce((count, result) => count + result.cacheHits, 0),
+          cacheMisses: summary.cacheMisses + heldBack.reduce((count, result) => count + result.cacheMisses, 0)
+        });
+      } catch (error) {
+        logger.warn(`Error reporting progress: ${error.message}`);
+      }
+    };
+
+    const onDomain = async (domain) => {
+      currentDomain = domain;
+      await reportProgress();
+    };
+
+    for (let i = 0; i < materialItems.length; i++) {
+      const item = materialItems[i];
+      logger.info(`Processing item ${i + 1}/${materialItems.length}: ${item.id}`);
+
+      currentItem = { id: item.id, name: item.name };
+      currentDomain = null;
+      await reportProgress();
+
+      try {
+        const result = await this.processMaterialItem(item, {
+          onDomain,
+          onEvent,
+          runId,
+          retryOf: retryOf ? retryOf[i] : null
+        });
+
+        // Items with item sources paused on a one-time code are counted once the code is in
+        if (this.shouldResumePaused(result)) {
+          heldBack.push(result);
+        } else {
+          this.addToSummary(summary, result);
+        }
+      } catch (error) {
+        logger.error(`Failed to process material item ${item.id}: ${error.message}`);
+
+        // A failed retry leaves the item as it was
+        this.addToSummary(summary, retryOf ? retryOf[i] : {
+          success: false,
+          message: `Failed to process material item ${item.id}: ${error.message}`,
+          materialItem: item,
+          error: error.message
+        });
+      }
+
+      done++;
+    }
+
+    currentItem = null;
+    currentDomain = null;
+    await reportProgress();
+
+    if (heldBack.length > 0) {
+      const results = await this.resumePaused(heldBack, { onEvent, runId });
+      heldBack.length = 0;
+
+      for (const result of results) {
+        this.addToSummary(summary, result);
+      }
+
+      await reportProgress();
+    }
+
+    summary.blockedRetry = this.planBlockedRetry(summary, attempt);
+
+    return summary;
+  }
+}
+
+export default PricingEngine;
@@ -0,0 +1,241 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import vendorRegistry from '../vendors/registry.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BUDGET_PATH = path.join(__dirname, '../../state/request-budget.json');
+
+// Pace and budget for sites whose adapter doesn't set its own
+const DEFAULT_REQUESTS_PER_MINUTE = 6;
+const DEFAULT_DAILY_REQUEST_BUDGET = 1000;
+const DEFAULT_JITTER = 0.3;
+
+// Slowdown after errors: doubled per error, quadrupled per bot challenge, up to MAX_SLOWDOWN
+const ERROR_SLOWDOWN = 2;
+const CHALLENGE_SLOWDOWN = 4;
+const MAX_SLOWDOWN = 16;
+
+// Consecutive successful requests after which a slowed-down site speeds up again
+const RECOVERY_SUCCESSES = 5;
+
+/**
+ * Get today's date (UTC), the key daily budgets are counted under
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Politeness scheduler for vendor sites. Spaces out page loads per site with a
+ * configurable rate and random jitter, counts them against a daily budget that
+ * survives restarts, and slows a site down after errors or bot challenges.
+ * Sites are vendor keys, or the domain for sites without an adapter.
+ */
+class RequestScheduler {
+  constructor() {
+    this.sites = new Map();
+    this.budget = { date: today(), counts: {} };
+    this.loaded = false;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Get the key that groups a domain's requests: the vendor key, or the domain itself
+   * for sites without an adapter (so www.homedepot.com and homedepot.com share a pace)
+   * @param {string} domain - Domain name
+   * @returns {string} Site key
+   */
+  getSiteKey(domain) {
+    const adapter = vendorRegistry.findByDomain(domain);
+    return adapter ? adapter.key : domain;
+  }
+
+  /**
+   * Get a site's pace and budget: the adapter's requestsPerMinute and
+   * dailyRequestBudget, or SCRAPER_REQUESTS_PER_MINUTE and SCRAPER_DAILY_REQUEST_BUDGET
+   * @param {string} siteKey - Site key (see getSiteKey)
+   * @returns {Object} Limits ({ requestsPerMinute, dailyRequestBudget, jitter })
+   */
+  getLimits(siteKey) {
+    const adapter = vendorRegistry.get(siteKey);
+
+    return {
+      requestsPerMinute: (adapter && adapter.requestsPerMinute) ||
+        parseFloat(process.env.SCRAPER_REQUESTS_PER_MINUTE || DEFAULT_REQUESTS_PER_MINUTE),
+      dailyRequestBudget: (adapter && adapter.dailyRequestBudget) ||
+        parseInt(process.env.SCRAPER_DAILY_REQUEST_BUDGET || DEFAULT_DAILY_REQUEST_BUDGET, 10),
+      jitter: parseFloat(process.env.SCRAPER_JITTER || DEFAULT_JITTER)
+    };
+  }
+
+  /**
+   * Get a site's pacing state
+   * @param {string} siteKey - Site key
+   * @returns {Object} State ({ nextRequestAt, slowdown, successes })
+   */
+  getSite(siteKey) {
+    if (!this.sites.has(siteKey)) {
+      this.sites.set(siteKey, { nextRequestAt: 0, slowdown: 1, successes: 0 });
+    }
+
+    return this.sites.get(siteKey);
+  }
+
+  /**
+   * Load today's request counts. Counts from an earlier day are dropped.
+   * @returns {Promise<void>}
+   */
+  async loadBudget() {
+    if (!this.loaded) {
+      try {
+        const saved = JSON.parse(await fs.readFile(BUDGET_PATH, 'utf-8'));
+
+        if (saved.date === today()) {
+          this.budget = { date: saved.date, counts: saved.counts || {} };
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Could not read request budget, starting from zero: ${error.message}`);
+        }
+      }
+
+      this.loaded = true;
+    }
+
+    if (this.budget.date !== today()) {
+      this.budget = { date: today(), counts: {} };
+    }
+  }
+
+  /**
+   * Write today's request counts, one write at a time
+   * @returns {Promise<void>}
+   */
+  saveBudget() {
+    const snapshot = JSON.stringify(this.budget, null, 2);
+
+    this.saving = this.saving
+      .then(async () => {
+        await fs.mkdir(path.dirname(BUDGET_PATH), { recursive: true });
+        await fs.writeFile(BUDGET_PATH, snapshot, 'utf-8');
+      })
+      .catch((error) => {
+        logger.warn(`Could not save request budget: ${error.message}`);
+      });
+
+    return this.saving;
+  }
+
+  /**
+   * Get how many more requests a site may get today
+   * @param {string} siteKey - Site key (see getSiteKey)
+   * @returns {Promise<number>} Remaining requests
+   */
+  async getRemainingBudget(siteKey) {
+    await this.loadBudget();
+    return Math.max(0, this.getLimits(siteKey).dailyRequestBudget - (this.budget.counts[siteKey] || 0));
+  }
+
+  /**
+   * Wait until a site may get its next request and count it against the daily budget
+   * @param {string} siteKey - Site key (see getSiteKey)
+   * @returns {Promise<boolean>} False without waiting when the site's budget is used up
+   */
+  async waitForTurn(siteKey) {
+    if (await this.getRemainingBudget(siteKey) === 0) {
+      logger.warn(`Daily request budget for ${siteKey} is used up`);
+      return false;
+    }
+
+    const site = this.getSite(siteKey);
+    const { requestsPerMinute, jitter } = this.getLimits(siteKey);
+
+    // Book the slot before waiting so requests queued side by side line up behind each other
+    const startAt = Math.max(Date.now(), site.nextRequestAt);
+    const interval = (60000 / requestsPerMinute) * site.slowdown;
+    site.nextRequestAt = startAt + interval * (1 + jitter * (Math.random() * 2 - 1));
+
+    const delay = startAt - Date.now();
+
+    if (delay > 0) {
+      logger.debug(`Waiting ${Math.round(delay / 1000)} seconds before the next ${siteKey} request`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    this.budget.counts[siteKey] = (this.budget.counts[siteKey] || 0) + 1;
+    await this.saveBudget();
+
+    return true;
+  }
+
+  /**
+   * Record a request that went through; a slowed-down site speeds up again after a few
+   * @param {string} siteKey - Site key (see getSiteKey)
+   */
+  reportSuccess(siteKey) {
+    const site = this.getSite(siteKey);
+
+    if (site.slowdown === 1) return;
+
+    site.successes++;
+
+    if (site.successes >= RECOVERY_SUCCESSES) {
+      site.slowdown = Math.max(1, site.slowdown / ERROR_SLOWDOWN);
+      site.successes = 0;
+      logger.info(`${siteKey} responds normally again, slowdown now ${site.slowdown}x`);
+    }
+  }
+
+  /**
+   * Slow a site down after a failed request or a bot challenge page
+   * @param {string} siteKey - Site key (see getSiteKey)
+   * @param {string} [kind='error'] - 'error' or 'challenge'
+   */
+  reportError(siteKey, kind = 'error') {
+    const site = this.getSite(siteKey);
+    const factor = kind === 'challenge' ? CHALLENGE_SLOWDOWN : ERROR_SLOWDOWN;
+    const { requestsPerMinute } = this.getLimits(siteKey);
+
+    site.slowdown = Math.min(MAX_SLOWDOWN, site.slowdown * factor);
+    site.successes = 0;
+    site.nextRequestAt = Math.max(site.nextRequestAt, Date.now() + (60000 / requestsPerMinute) * site.slowdown);
+
+    logger.warn(`Slowing down ${siteKey} after ${kind === 'challenge' ? 'a bot challenge' : 'an error'}, now ${site.slowdown}x slower`);
+  }
+
+  /**
+   * Get the pace and budget of every site requested today
+   * @returns {Promise<Object>} Status keyed by site key
+   */
+  async getStatus() {
+    await this.loadBudget();
+
+    const siteKeys = new Set([...Object.keys(this.budget.counts), ...this.sites.keys()]);
+    const status = {};
+
+    for (const siteKey of siteKeys) {
+      const site = this.getSite(siteKey);
+      const { requestsPerMinute, dailyRequestBudget } = this.getLimits(siteKey);
+
+      status[siteKey] = {
+        requestsToday: this.budget.counts[siteKey] || 0,
+        dailyRequestBudget,
+        requestsPerMinute,
+        slowdown: site.slowdown,
+        nextRequestAt: site.nextRequestAt ? new Date(site.nextRequestAt).toISOString() : null
+      };
+    }
+
+    return status;
+  }
+}
+
+export default new RequestScheduler();
@@ -1,13 +1,18 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-
-// Add stealth plugin to puppeteer
-puppeteer.use(StealthPlugin());
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { logger } from '../utils/logger.js';
+import browserPool from './browser-pool.js';
+import sessionManager from './session-manager.js';
+import otpBroker from './otp-broker.js';
+import requestScheduler from './request-scheduler.js';
+import proxyManager from './proxy-manager.js';
+import { extractStructuredPrice } from '../utils/structured-price.js';
+import { detectBotChallenge } from '../utils/bot-challenge.js';
+import { DEFAULT_DOM_RESOURCE_POLICY, DEFAULT_VISION_RESOURCE_POLICY } from '../utils/resource-policy.js';
+import vendorRegistry from '../vendors/registry.js';
+import { TaskQueue } from '../utils/task-queue.js';
 
 // Load environment variables
 dotenv.config();
@@ -21,83 +26,76 @@ if (!fs.existsSync(screenshotsDir)) {
   fs.mkdirSync(screenshotsDir, { recursive: true });
 }
 
-// Site credentials
-const WINSUPPLY_EMAIL = process.env.WINSUPPLY_EMAIL;
-const WINSUPPLY_PASSWORD = process.env.WINSUPPLY_PASSWORD;
-
-const HOMEDEPOT_EMAIL = process.env.HOMEDEPOT_EMAIL;
-const HOMEDEPOT_PASSWORD = process.env.HOMEDEPOT_PASSWORD;
+// Pages loaded at once across all vendors, and per vendor site
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_SITE_CONCURRENCY = 1;
 
-const HDSUPPLY_EMAIL = process.env.HDSUPPLY_EMAIL;
-const HDSUPPLY_PASSWORD = process.env.HDSUPPLY_PASSWORD;
+// Longest HTML snippet kept as evidence of where a price was read
+const MAX_SNIPPET_LENGTH = 20000;
 
-const SUPPLYHOUSE_EMAIL = process.env.SUPPLYHOUSE_EMAIL;
-const SUPPLYHOUSE_PASSWORD = process.env.SUPPLYHOUSE_PASSWORD;
-
-// Check for required credentials
-if (!WINSUPPLY_EMAIL || !WINSUPPLY_PASSWORD) {
-  logger.error('WinSupply credentials are missing in environment variables');
-  // Not exiting here as we can still function with some vendors missing
-}
+// Margin kept around screenshotted elements, so labels next to a price ("/ft", "each") stay in the picture
+const BUY_BOX_PADDING = 40;
+const TITLE_PADDING = 10;
 
-if (!HOMEDEPOT_EMAIL || !HOMEDEPOT_PASSWORD) {
-  logger.error('Home Depot credentials are missing in environment variables');
-  // Not exiting here as we can still function with some vendors missing
-}
-
-if (!HDSUPPLY_EMAIL || !HDSUPPLY_PASSWORD) {
-  logger.error('HD Supply credentials are missing in environment variables');
-  // Not exiting here as we can still function with some vendors missing
-}
-
-if (!SUPPLYHOUSE_EMAIL || !SUPPLYHOUSE_PASSWORD) {
-  logger.error('SupplyHouse credentials are missing in environment variables');
-  // Not exiting here as we can still function with some vendors missing
-}
+// Full-page screenshots (no buy box found) stop at this height
+const MAX_FULL_PAGE_HEIGHT = 5000;
 
 /**
- * Service for web scraping with Puppeteer
+ * Service for web scraping with Puppeteer. Pages come from the shared browser
+ * pool, in a separate browser context per vendor account; captures and logins
+ * are queued per vendor site so several vendors load in parallel while each site
+ * only sees SCRAPER_SITE_CONCURRENCY pages at a time, paced by the request scheduler.
  */
 class ScraperService {
   constructor() {
     this.browser = null;
-    this.pages = {};
-    this.loggedInDomains = new Set();
+    this.loggedInVendors = new Set();
+    this.preparedVendors = new Set();
+    this.concurrency = parseInt(process.env.SCRAPER_CONCURRENCY || DEFAULT_CONCURRENCY, 10);
+    this.siteConcurrency = parseInt(process.env.SCRAPER_SITE_CONCURRENCY || DEFAULT_SITE_CONCURRENCY, 10);
+    this.queue = new TaskQueue({ concurrency: this.concurrency });
+    this.siteQueues = {};
+    this.launching = null;
+    browserPool.maxPagesPerDomain = Math.max(browserPool.maxPagesPerDomain, this.siteConcurrency);
   }
 
   /**
-   * Initialize the browser
+   * Initialize the browser (shared with the browser pool)
    */
   async initialize() {
-    try {
-      logger.info('Initializing Puppeteer browser');
-      this.browser = await puppeteer.launch({
-        // headless: false, // Set to false to make the browser visible
-        args: [
-          '--no-sandbox', 
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--window-size=1280,800'
-        ],
-        protocolTimeout: 60000, // Set protocol timeout to 60 seconds
-        defaultViewport: { width: 1280, height: 800 }
+    // Pages requested side by side wait for the same launch
+    if (!this.launching) {
+      this.launching = this.launchBrowser().finally(() => {
+        this.launching = null;
       });
+    }
+    
+    return this.launching;
+  }
+
+  /**
+   * Start the browser pool's browser, or pick up the one it already has
+   */
+  async launchBrowser() {
+    try {
+      // A browser that crashed can't hand out pages any more, start a new one
+      if (browserPool.browser && !browserPool.browser.isConnected()) {
+        await browserPool.close();
+      }
       
-      // Add error handler for browser disconnection
-      this.browser.on('disconnected', async () => {
-        logger.error('Browser disconnected unexpectedly');
-        this.browser = null;
-        this.pages = {};
-        this.loggedInDomains = new Set();
-        
-        // Wait a bit before attempting to reinitialize
-        await new Promise(resolve => setTimeout(resolve, 5000));
+      const browser = await browserPool.initialize();
+      
+      if (browser !== this.browser) {
+        this.browser = browser;
         
-        // Don't auto-reinitialize, let the next operation handle it
-        logger.info('Browser disconnected - will reinitialize on next operation');
-      });
+        // Logins and prepared vendors only live as long as the browser
+        browser.once('disconnected', () => {
+          if (this.browser === browser) {
+            logger.info('Browser disconnected - will reinitialize on next operation');
+            this.resetBrowserState();
+          }
+        });
+      }
       
       logger.info('Puppeteer browser initialized');
     } catch (error) {
@@ -106,142 +104,98 @@ class ScraperService {
     }
   }
 
+  /**
+   * Forget the browser and everything tied to it
+   */
+  resetBrowserState() {
+    this.browser = null;
+    this.loggedInVendors = new Set();
+    this.preparedVendors = new Set();
+  }
+
   /**
    * Close the browser
    */
   async close() {
     if (this.browser) {
       logger.info('Closing Puppeteer browser');
-      await this.browser.close();
-      this.browser = null;
-      this.pages = {};
-      this.loggedInDomains = new Set();
+      this.resetBrowserState();
+      await browserPool.close();
       logger.info('Puppeteer browser closed');
     }
   }
 
   /**
-   * Get or create a page for a specific domain
-   * @param {string} domain - The domain name
-   * @returns {Promise<Page>} Puppeteer page object
+   * Change how many pages load at once
+   * @param {Object} limits - Concurrency limits
+   * @param {number} [limits.concurrency] - Pages loading at once across all vendors
+   * @param {number} [limits.siteConcurrency] - Pages loading at once per vendor site
+   */
+  setConcurrency({ concurrency, siteConcurrency } = {}) {
+    if (concurrency) {
+      this.concurrency = concurrency;
+      this.queue.concurrency = concurrency;
+    }
+    
+    if (siteConcurrency) {
+      this.siteConcurrency = siteConcurrency;
+      browserPool.maxPagesPerDomain = Math.max(browserPool.maxPagesPerDomain, siteConcurrency);
+      
+      for (const queue of Object.values(this.siteQueues)) {
+        queue.concurrency = siteConcurrency;
+      }
+    }
+    
+    logger.info(`Scraper concurrency: ${this.concurrency} pages, ${this.siteConcurrency} per site`);
+  }
+
+  /**
+   * Run a task once its site has a free slot
+   * @param {string} siteKey - Site key (see requestScheduler.getSiteKey)
+   * @param {Function} task - Task returning a Promise
+   * @param {string} [taskName] - Name for logging
+   * @returns {Promise<any>} Result of the task
+   */
+  runOnSite(siteKey, task, taskName = siteKey) {
+    if (!this.siteQueues[siteKey]) {
+      this.siteQueues[siteKey] = new TaskQueue({ concurrency: this.siteConcurrency });
+    }
+    
+    return this.siteQueues[siteKey].add(task, { taskName });
+  }
+
+  /**
+   * Borrow a browser pool page for a site and hand it back when the task is done
+   * @param {string} siteKey - Site key (see requestScheduler.getSiteKey)
+   * @param {Function} task - Called with the page, returns a Promise
+   * @param {Object} [options] - Page options
+   * @param {boolean} [options.global=true] - Wait for one of the global slots first
+   * @param {string} [options.account] - Vendor account whose browser context the page opens in
+   *   (defaults to the vendor's default account)
+   * @returns {Promise<any>} Result of the task
    */
-  async getPage(domain) {
-    // Make sure we have a browser instance
+  async withPage(siteKey, task, options = {}) {
+    const { global = true, account = null } = options;
+    
+    if (global) {
+      return this.queue.add(() => this.withPage(siteKey, task, { ...options, global: false }), { taskName: siteKey });
+    }
+    
     if (!this.browser) {
       await this.initialize();
     }
-
+    
+    // Every vendor account browses in its own context, with its own cookies
+    const page = await browserPool.getPage(sessionManager.getSessionKey(siteKey, account), { siteKey });
+    
     try {
-      // If we already have a page for this domain and it's not closed, return it
-      if (this.pages[domain]) {
-        // Check if the page is still valid
-        try {
-          // Simple test to see if page is still responsive
-          await this.pages[domain].evaluate(() => true);
-          return this.pages[domain];
-        } catch (error) {
-          logger.warn(`Page for ${domain} is no longer responsive: ${error.message}`);
-          delete this.pages[domain];
-          // Continue with getting a new page
-        }
-      }
-      
-      // Close ALL open pages before creating a new one
-      const openDomains = Object.keys(this.pages);
-      
-      // Close all existing pages
-      if (openDomains.length > 0) {
-        logger.info(`Ensuring only one tab is open. Closing all existing tabs.`);
-        
-        for (const oldDomain of openDomains) {
-          // Close the page
-          try {
-            await this.pages[oldDomain].close();
-            logger.info(`Closed page for domain: ${oldDomain}`);
-          } catch (error) {
-            logger.warn(`Error closing page for domain ${oldDomain}: ${error.message}`);
-          }
-          
-          // Remove from pages object
-          delete this.pages[oldDomain];
-        }
-      }
-      
-      // If browser has crashed or disconnected, reinitialize
-      if (!this.browser) {
-        logger.info('Browser appears to be disconnected, reinitializing...');
-        await this.initialize();
-      }
-      
-      // Create a new page for this domain with retry
-      let retries = 0;
-      const maxRetries = 3;
-      let lastError = null;
-      
-      while (retries < maxRetries) {
-        try {
-          logger.info(`Creating new page for domain: ${domain} (attempt ${retries + 1}/${maxRetries})`);
-          this.pages[domain] = await this.browser.newPage();
-          
-          // Set user agent
-          await this.pages[domain].setUserAgent(
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-          );
-          
-          // Add error handler for page crash
-          this.pages[domain].on('error', (err) => {
-            logger.error(`Page for ${domain} crashed: ${err.message}`);
-            delete this.pages[domain];
-          });
-          
-          // Add additional page settings to improve stability
-          await this.pages[domain].setCacheEnabled(true);
-          await this.pages[domain].setDefaultNavigationTimeout(90000); // 90 seconds
-          await this.pages[domain].setDefaultTimeout(30000); // 30 seconds for other operations
-          
-          // Set request interception to block unwanted resources
-          await this.pages[domain].setRequestInterception(true);
-          this.pages[domain].on('request', (request) => {
-            const resourceType = request.resourceType();
-            // Block unnecessary resource types to reduce browser load
-            if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
-              request.abort();
-            } else {
-              request.continue();
-            }
-          });
-          
-          return this.pages[domain];
-        } catch (error) {
-          lastError = error;
-          logger.warn(`Failed to create page for ${domain}: ${error.message}. Retrying (${retries + 1}/${maxRetries})`);
-          retries++;
-          
-          // Wait before retrying
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          // If browser has crashed, reinitialize
-          if (!this.browser) {
-            logger.info('Browser crashed during page creation, reinitializing...');
-            await this.initialize();
-          }
-        }
-      }
-      
-      // If we reached here, all retries failed
-      throw lastError || new Error(`Failed to create page for ${domain} after ${maxRetries} attempts`);
+      return await task(page);
     } catch (error) {
-      logger.error(`Fatal error getting page for ${domain}: ${error.message}`);
-      
-      // Attempt recovery by closing and reinitializing the browser
-      try {
-        await this.close();
-        logger.info('Closed browser after fatal error. Will reinitialize on next operation.');
-      } catch (closeError) {
-        logger.error(`Error closing browser: ${closeError.message}`);
-      }
-      
+      // Don't hand a page in an unknown state to the next task
+      await page.close().catch(() => {});
       throw error;
+    } finally {
+      page.release();
     }
   }
 
@@ -261,20 +215,80 @@ class ScraperService {
   }
 
   /**
-   * Login to WinSupply
+   * Log in to a vendor using its adapter. SessionManager reuses the saved session
+   * while it is still logged in; otherwise the full login flow runs.
+   * @param {VendorAdapter} adapter - Vendor adapter (see src/vendors)
+   * @param {string} [accountId] - Log in with this account from the credential store, in its own
+   *   browser context next to the default account's (defaults to the vendor's default account)
    * @returns {Promise<boolean>} Success status
    */
-  async loginToWinSupply() {
+  async loginToVendor(adapter, accountId = null) {
+    const sessionKey = sessionManager.getSessionKey(adapter.key, accountId);
+    
     try {
-      const domain = 'winsupplyinc.com';
-      
-      if (this.loggedInDomains.has(domain)) {
-        logger.info('Already logged in to WinSupply');
+      if (this.loggedInVendors.has(sessionKey) && sessionManager.hasValidSession(sessionKey)) {
+        logger.info(`Already logged in to ${adapter.name}`);
         return true;
       }
       
-      logger.info('Logging in to WinSupply');
-      const page = await this.getPage(domain);
+      // This account's login is already paused on a one-time code
+      if (otpBroker.isPending(sessionKey)) {
+        logger.info(`${adapter.name} login${accountId ? ` for account ${accountId}` : ''} is waiting for a one-time code`);
+        return false;
+      }
+      
+      this.loggedInVendors.delete(sessionKey);
+      const credentials = await adapter.getCredentials(accountId);
+      
+      // Don't fall back to another account's credentials
+      if (accountId && (!credentials || credentials.accountId !== accountId)) {
+        logger.error(`No ${adapter.name} account ${accountId} in the credential store`);
+        return false;
+      }
+      
+      const loggedIn = await this.runOnSite(adapter.key, async () => {
+        if (!await requestScheduler.waitForTurn(adapter.key)) {
+          logger.error(`Not logging in to ${adapter.name}: its daily request budget is used up`);
+          return false;
+        }
+        
+        // No global slot: a login can wait minutes for a one-time code
+        return this.withPage(adapter.key, page => sessionManager.ensureVendorSession(
+          adapter,
+          page,
+          () => this.submitVendorLogin(adapter, page, credentials, accountId),
+          credentials ? credentials.accountId : null,
+          sessionKey
+        ), { global: false, account: accountId });
+      }, `${adapter.name} login`);
+      
+      if (loggedIn) {
+        this.loggedInVendors.add(sessionKey);
+      }
+      
+      return loggedIn;
+    } catch (error) {
+      logger.error(`Error logging in to ${adapter.name}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Run a vendor's full login flow
+   * @param {VendorAdapter} adapter - Vendor adapter (see src/vendors)
+   * @param {Page} page - Puppeteer page object
+   * @param {Object|null} credentials - Credentials ({ accountId, username, password })
+   * @param {string} [accountId] - Account logging in, when it isn't the vendor's default account
+   * @returns {Promise<boolean>} Success status
+   */
+  async submitVendorLogin(adapter, page, credentials, accountId = null) {
+    try {
+      if (!credentials) {
+        logger.error(`No ${adapter.name} credentials, add an account with credentials-cli.js or set them in environment variables`);
+        return false;
+      }
+      
+      logger.info(`Logging in to ${adapter.name}`);
       
       // Navigate to login page with retry
       let retries = 0;
@@ -282,15 +296,13 @@ class ScraperService {
       
       while (retries < maxRetries) {
         try {
-          await page.goto('https://www.winsupplyinc.com/account/login', {
+          await page.goto(adapter.loginUrl, {
             waitUntil: 'networkidle2',
             timeout: 60000
           });
           
           // Check if we're on the login page
-          const emailFieldExists = await page.$('#email_field') !== null;
-          
-          if (emailFieldExists) {
+          if (!adapter.loginReadySelector || await page.$(adapter.loginReadySelector) !== null) {
             break; // Successfully loaded login page
           } else {
             logger.warn(`Login page not loaded correctly, retrying (${retries + 1}/${maxRetries})`);
@@ -308,138 +320,69 @@ class ScraperService {
         }
       }
       
-      // Fill in login form with human-like typing
-      logger.info('Filling in WinSupply login form');
-      await this.typeHumanLike(page, '#email_field', WINSUPPLY_EMAIL);
+      // Fill in and submit the login form
+      logger.info(`Submitting ${adapter.name} login form`);
+      await adapter.submitLogin(page, credentials, this);
       
-      await this.typeHumanLike(page, '#si_password', WINSUPPLY_PASSWORD);
+      // Wait for login to complete
+      logger.info(`Waiting for ${adapter.name} login to complete`);
+      await page.waitForTimeout(adapter.loginWait);
       
-      // Click login button with random delay
-      logger.info('Submitting WinSupply login form');
-      await this.randomDelayBeforeClick(page, '.c-button--sign-in.win-btn.win-btn-secondary');
+      // Some accounts get challenged with an emailed or SMS one-time code
+      const otpInput = await adapter.detectOtpChallenge(page);
       
-      // Wait for login to complete
-      logger.info('Waiting for WinSupply login to complete');
-      await page.waitForTimeout(5000); // Increased wait time
+      if (otpInput) {
+        await this.completeOtpChallenge(adapter, page, otpInput, accountId);
+      }
       
-      // Check if login was successful
-      const currentUrl = page.url();
-      const loginSuccess = !currentUrl.includes('/account/login');
+      // Check if the page shows a logged-in state
+      const loginSuccess = await adapter.isLoggedIn(page);
       
       if (loginSuccess) {
-        logger.info('Successfully logged in to WinSupply');
-        this.loggedInDomains.add(domain);
+        logger.info(`Successfully logged in to ${adapter.name}`);
         
         // Take a screenshot of the logged-in state for debugging
-        const screenshotPath = path.join(screenshotsDir, `winsupply_login_success_${Date.now()}.jpg`);
+        const screenshotPath = path.join(screenshotsDir, `${adapter.key}_login_success_${Date.now()}.jpg`);
         await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.info(`Saved WinSupply login screenshot to ${screenshotPath}`);
+        logger.info(`Saved ${adapter.name} login screenshot to ${screenshotPath}`);
         
         return true;
       } else {
-        logger.error('Failed to log in to WinSupply - still on login page');
+        logger.error(`Failed to log in to ${adapter.name}`);
         
         // Take a screenshot of the failed login for debugging
-        const screenshotPath = path.join(screenshotsDir, `winsupply_login_failed_${Date.now()}.jpg`);
+        const screenshotPath = path.join(screenshotsDir, `${adapter.key}_login_failed_${Date.now()}.jpg`);
         await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
         logger.error(`Saved failed login screenshot to ${screenshotPath}`);
         
         return false;
       }
     } catch (error) {
-      logger.error(`Error logging in to WinSupply: ${error.message}`);
+      logger.error(`Error logging in to ${adapter.name}: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * Login to Home Depot
-   * @returns {Promise<boolean>} Success status
+   * Wait for a vendor's one-time code (entered through the API or a terminal
+   * prompt, see otp-broker.js) and submit it
+   * @param {VendorAdapter} adapter - Vendor adapter (see src/vendors)
+   * @param {Page} page - Puppeteer page showing the code challenge
+   * @param {string} inputSelector - Selector of the code input
+   * @param {string} [accountId] - Account logging in, when it isn't the vendor's default account
+   * @returns {Promise<void>}
+   * @throws {Error} If no code was entered in time
    */
-  async loginToHomeDepot() {
-    try {
-      const domain = 'homedepot.com';
-      
-      if (this.loggedInDomains.has(domain)) {
-        logger.info('Already logged in to Home Depot');
-        return true;
-      }
-      
-      logger.info('Logging in to Home Depot');
-      const page = await this.getPage(domain);
-      
-      // Navigate to login page
-      await page.goto('https://www.homedepot.com/auth/view/signin', {
-        waitUntil: 'networkidle2',
-        timeout: 60000
-      });
-      
-      // Fill in email with human-like typing
-      logger.info('Filling in Home Depot email');
-      await this.typeHumanLike(page, '#username', HOMEDEPOT_EMAIL);
-      
-      // Click continue button with random delay
-      logger.info('Clicking continue button');
-      await this.randomDelayBeforeClick(page, '#sign-in-button');
-      
-      // Wait for the "No Thanks" button and click it if it appears
-      await page.waitForTimeout(1000);
-      try {
-        const noThanksButton = await page.$x("//button[contains(text(), 'No Thanks')]");
-        if (noThanksButton.length > 0) {
-          logger.info('Clicking "No Thanks" button');
-          
-          // Random delay before clicking No Thanks
-          const clickDelay = Math.floor(Math.random() * 700) + 500;
-          logger.info(`Waiting ${clickDelay}ms before clicking No Thanks (human-like delay)`);
-          await page.waitForTimeout(clickDelay);
-          
-          await noThanksButton[0].click();
-          await page.waitForTimeout(1000);
-        }
-      } catch (error) {
-        logger.warn(`No "No Thanks" button found: ${error.message}`);
-      }
-      
-      // Fill in password with human-like typing
-      logger.info('Filling in Home Depot password');
-      await this.typeHumanLike(page, '#password-input-field', HOMEDEPOT_PASSWORD);
-      
-      // Click sign in button with random delay
-      logger.info('Clicking sign in button');
-      await this.randomDelayBeforeClick(page, '#sign-in-button');
-      
-      // Wait for login to complete
-      await page.waitForTimeout(5000);
-      
-      // Check if login was successful
-      const currentUrl = page.url();
-      const loginSuccess = !currentUrl.includes('/auth/view/signin');
-      
-      if (loginSuccess) {
-        logger.info('Successfully logged in to Home Depot');
-        this.loggedInDomains.add(domain);
-        
-        // Take a screenshot of the logged-in state for debugging
-        const screenshotPath = path.join(screenshotsDir, `homedepot_login_success_${Date.now()}.jpg`);
-        await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.info(`Saved Home Depot login screenshot to ${screenshotPath}`);
-        
-        return true;
-      } else {
-        logger.error('Failed to log in to Home Depot');
-        
-        // Take a screenshot of the failed login for debugging
-        const screenshotPath = path.join(screenshotsDir, `homedepot_login_failed_${Date.now()}.jpg`);
-        await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.error(`Saved failed login screenshot to ${screenshotPath}`);
-        
-        return false;
-      }
-    } catch (error) {
-      logger.error(`Error logging in to Home Depot: ${error.message}`);
-      return false;
-    }
+  async completeOtpChallenge(adapter, page, inputSelector, accountId = null) {
+    const name = accountId ? `${adapter.name} account ${accountId}` : adapter.name;
+    logger.warn(`${name} asked for a one-time code, pausing ${name} until it is entered`);
+    
+    // The login keeps its page while it waits, other vendors and accounts carry on with their own
+    const code = await otpBroker.requestCode({ vendor: adapter.key, accountId, name });
+    
+    logger.info(`Submitting ${adapter.name} one-time code`);
+    await adapter.submitOtp(page, inputSelector, code, this);
+    await page.waitForTimeout(adapter.loginWait);
   }
 
   /**
@@ -479,142 +422,6 @@ class ScraperService {
     await page.click(selector);
   }
 
-  /**
-   * Login to HD Supply (ebarnett.com)
-   * @returns {Promise<boolean>} Success status
-   */
-  async loginToHDSupply() {
-    try {
-      const domain = 'ebarnett.com';
-      
-      if (this.loggedInDomains.has(domain)) {
-        logger.info('Already logged in to HD Supply');
-        return true;
-      }
-      
-      logger.info('Logging in to HD Supply');
-      const page = await this.getPage(domain);
-      
-      // Navigate to login page
-      await page.goto('https://www.ebarnett.com', {
-        waitUntil: 'networkidle2',
-        timeout: 60000
-      });
-      
-      // Fill in username with human-like typing
-      logger.info('Filling in HD Supply username');
-      await this.typeHumanLike(page, 'input#UserName', HDSUPPLY_EMAIL);
-      
-      // Fill in password with human-like typing
-      logger.info('Filling in HD Supply password');
-      await this.typeHumanLike(page, 'input#Password', HDSUPPLY_PASSWORD);
-      
-      // Click login button with random delay
-      logger.info('Clicking login button');
-      await this.randomDelayBeforeClick(page, 'input#login-box-submit-buttom');
-      
-      // Wait for login to complete
-      await page.waitForTimeout(2000);
-      
-      // Check if login was successful (this is a simple check, might need adjustment)
-      const loginSuccess = await page.evaluate(() => {
-        return !document.querySelector('input#UserName');
-      });
-      
-      if (loginSuccess) {
-        logger.info('Successfully logged in to HD Supply');
-        this.loggedInDomains.add(domain);
-        
-        // Take a screenshot of the logged-in state for debugging
-        const screenshotPath = path.join(screenshotsDir, `hdsupply_login_success_${Date.now()}.jpg`);
-        await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.info(`Saved HD Supply login screenshot to ${screenshotPath}`);
-        
-        return true;
-      } else {
-        logger.error('Failed to log in to HD Supply');
-        
-        // Take a screenshot of the failed login for debugging
-        const screenshotPath = path.join(screenshotsDir, `hdsupply_login_failed_${Date.now()}.jpg`);
-        await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.error(`Saved failed login screenshot to ${screenshotPath}`);
-        
-        return false;
-      }
-    } catch (error) {
-      logger.error(`Error logging in to HD Supply: ${error.message}`);
-      return false;
-    }
-  }
-
-  /**
-   * Login to SupplyHouse.com
-   * @returns {Promise<boolean>} Success status
-   */
-  async loginToSupplyHouse() {
-    try {
-      const domain = 'supplyhouse.com';
-      
-      if (this.loggedInDomains.has(domain)) {
-        logger.info('Already logged in to SupplyHouse.com');
-        return true;
-      }
-      
-      logger.info('Logging in to SupplyHouse.com');
-      const page = await this.getPage(domain);
-      
-      // Navigate to login page
-      await page.goto('https://www.supplyhouse.com/sh/control/login', {
-        waitUntil: 'networkidle2',
-        timeout: 60000
-      });
-      
-      // Fill in username with human-like typing
-      logger.info('Filling in SupplyHouse.com username');
-      await this.typeHumanLike(page, 'input#username', SUPPLYHOUSE_EMAIL);
-      
-      // Fill in password with human-like typing
-      logger.info('Filling in SupplyHouse.com password');
-      await this.typeHumanLike(page, 'input#password', SUPPLYHOUSE_PASSWORD);
-      
-      // Click sign in button with random delay
-      logger.info('Clicking sign in button');
-      await this.randomDelayBeforeClick(page, 'button.btn.btn-lg.btn-block.button-blue.bold.upper');
-      
-      // Wait for login to complete
-      await page.waitForTimeout(2000);
-      
-      // Check if login was successful
-      const loginSuccess = await page.evaluate(() => {
-        return !document.querySelector('input#username');
-      });
-      
-      if (loginSuccess) {
-        logger.info('Successfully logged in to SupplyHouse.com');
-        this.loggedInDomains.add(domain);
-        
-        // Take a screenshot of the logged-in state for debugging
-        const screenshotPath = path.join(screenshotsDir, `supplyhouse_login_success_${Date.now()}.jpg`);
-        await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.info(`Saved SupplyHouse.com login screenshot to ${screenshotPath}`);
-        
-        return true;
-      } else {
-        logger.error('Failed to log in to SupplyHouse.com');
-        
-        // Take a screenshot of the failed login for debugging
-        const screenshotPath = path.join(screenshotsDir, `supplyhouse_login_failed_${Date.now()}.jpg`);
-        await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80 });
-        logger.error(`Saved failed login screenshot to ${screenshotPath}`);
-        
-        return false;
-      }
-    } catch (error) {
-      logger.error(`Error logging in to SupplyHouse.com: ${error.message}`);
-      return false;
-    }
-  }
-
   /**
    * Handle common popups and overlays on vendor websites
    * @param {Page} page - Puppeteer page object
@@ -643,24 +450,11 @@ class ScraperService {
         }
       }
       
-      // Handle location/zip code popups (common on Home Depot, Lowe's, etc.)
-      if (domain.includes('homedepot.com') || domain.includes('lowes.com')) {
-        const zipCodeSelectors = [
-          'button[aria-label="Continue"]',
-          'button.location-continue',
-          'button.zip-code-continue',
-          'button:not([aria-hidden="true"]):not([tabindex="-1"]):not([style*="display: none"]):not([style*="visibility: hidden"]):not([style*="opacity: 0"]):not([disabled])[id*="continue"]',
-          'button:not([aria-hidden="true"]):not([tabindex="-1"]):not([style*="display: none"]):not([style*="visibility: hidden"]):not([style*="opacity: 0"]):not([disabled])[class*="continue"]'
-        ];
-        
-        for (const selector of zipCodeSelectors) {
-          if (await page.$(selector) !== null) {
-            logger.info(`Clicking location/zip code button: ${selector}`);
-            await page.click(selector).catch(() => {});
-            await page.waitForTimeout(1000);
-            break;
-          }
-        }
+      // Handle vendor-specific popups (e.g. store/zip code prompts)
+      const adapter = vendorRegistry.findByDomain(domain);
+      
+      if (adapter) {
+        await adapter.handlePopups(page);
       }
       
       // Handle newsletter/signup popups (common on many sites)
@@ -688,133 +482,438 @@ class ScraperService {
     }
   }
 
+  /**
+   * Collect structured data and vendor selector texts from a loaded page and extract a price from them
+   * @param {Page} page - Puppeteer page object
+   * @param {string} domain - The domain name
+   * @returns {Promise<Object|null>} Extraction (see extractStructuredPrice) or null if the page has no readable price
+   */
+  async extractPriceFromPage(page, domain) {
+    try {
+      const adapter = vendorRegistry.findByDomain(domain);
+      const vendorSelectors = {
+        ...(adapter ? adapter.priceSelectors : {}),
+        priceOptions: adapter ? adapter.priceOptionSelectors : {}
+      };
+      
+      const pageData = await page.evaluate((selectors) => {
+        const attr = (selector, name) => {
+          const element = document.querySelector(selector);
+          return element ? element.getAttribute(name) : null;
+        };
+        
+        // Read an element's text with child elements separated, so "$<span>19</span><span>98</span>" stays readable
+        const text = (element) => {
+          const leaves = Array.from(element.querySelectorAll('*')).filter(node => node.children.length === 0);
+          const parts = leaves.length > 0 ? leaves.map(node => node.textContent.trim()) : [element.textContent.trim()];
+          return parts.filter(Boolean).join(' ');
+        };
+        
+        const firstText = (list = []) => {
+          for (const selector of list) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim()) {
+              return element.getAttribute('content') || text(element);
+            }
+          }
+          return null;
+        };
+        
+        // Microdata is read from the product, not from related products, reviews or breadcrumbs elsewhere on the page
+        const product = document.querySelector('[itemscope][itemtype*="Product"]');
+        
+        // Own properties skip those of items nested in the product, like its brand's or seller's name
+        const itemprop = (name, own = false) => {
+          if (own && !product) return null;
+          const element = Array.from((product || document).querySelectorAll(`[itemprop="${name}"]`))
+            .find(candidate => !own || candidate.parentElement.closest('[itemscope]') === product);
+          if (!element) return null;
+          return element.getAttribute('content') || element.getAttribute('href') || element.textContent.trim() || null;
+        };
+        
+        const h1 = document.querySelector('h1');
+        
+        return {
+          jsonLd: Array.from(document.querySelectorAll('script[type="application/ld+json"]')).map(script => script.textContent),
+          microdata: {
+            price: itemprop('price') || attr('meta[property="product:price:amount"]', 'content'),
+            currency: itemprop('priceCurrency') || attr('meta[property="product:price:currency"]', 'content'),
+            unit: itemprop('unitText') || itemprop('unitCode'),
+            availability: itemprop('availability'),
+            title: itemprop('name', true),
+            sku: itemprop('sku', true) || itemprop('mpn', true)
+          },
+          selectors: {
+            price: firstText(selectors.price),
+            unit: firstText(selectors.unit),
+            title: firstText(selectors.title),
+            sku: firstText(selectors.sku)
+          },
+          priceOptions: Object.fromEntries(
+            Object.entries(selectors.priceOptions).map(([option, list]) => [option, firstText(list)])
+          ),
+          pageTitle: attr('meta[property="og:title"]', 'content') || (h1 ? h1.textContent.trim() : null)
+        };
+      }, vendorSelectors);
+      
+      const extraction = extractStructuredPrice({
+        ...pageData,
+        preferredPriceOption: adapter ? adapter.preferredPriceOption : null,
+        requirePreferredPriceOption: adapter ? adapter.requirePreferredPriceOption : false
+      });
+      
+      if (extraction) {
+        logger.info(`Extracted price ${extraction.price} from page markup (${extraction.method})`);
+      } else {
+        logger.info(`No price found in page markup for ${domain}`);
+      }
+      
+      return extraction;
+    } catch (error) {
+      logger.warn(`Error extracting price from page markup: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the markup a price was read from, kept as evidence: the JSON-LD script,
+   * the microdata block or the vendor's price element with its surroundings
+   * @param {Page} page - Puppeteer page object
+   * @param {VendorAdapter|null} adapter - Vendor adapter for the page
+   * @param {Object|null} extraction - Extraction from the markup, null when the price is read from the screenshot
+   * @returns {Promise<string|null>} HTML snippet or null if none was found
+   */
+  async extractHtmlSnippet(page, adapter, extraction) {
+    try {
+      return await page.evaluate((method, priceSelectors, maxLength) => {
+        let snippet = null;
+        
+        if (method === 'json-ld') {
+          const script = Array.from(document.querySelectorAll('script[type="application/ld+json"]'))
+            .find(element => /"(offers|price)"/.test(element.textContent));
+          snippet = script ? script.outerHTML : null;
+        } else if (method === 'microdata') {
+          const element = document.querySelector('[itemprop="price"], meta[property="product:price:amount"]');
+          
+          if (element) {
+            snippet = element.tagName === 'META' ? element.outerHTML : (element.closest('[itemscope]') || element).outerHTML;
+          }
+        }
+        
+        // Vendor selectors, and the price area the vision model was shown
+        if (!snippet) {
+          const element = priceSelectors.map(selector => document.querySelector(selector)).find(Boolean);
+          snippet = element ? (element.parentElement || element).outerHTML : null;
+        }
+        
+        return snippet ? snippet.slice(0, maxLength) : null;
+      }, extraction ? extraction.method : null, (adapter && adapter.priceSelectors.price) || [], MAX_SNIPPET_LENGTH);
+    } catch (error) {
+      logger.warn(`Error reading HTML snippet: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Scroll the first visible element of a selector list into view and get its area on the page
+   * @param {Page} page - Puppeteer page object
+   * @param {Array<string>} selectors - CSS selectors, tried in order
+   * @param {number} padding - Margin around the element in pixels
+   * @returns {Promise<Object|null>} Clip ({ x, y, width, height }) in page coordinates or null if no element is visible
+   */
+  async findElementClip(page, selectors, padding) {
+    if (selectors.length === 0) {
+      return null;
+    }
+    
+    try {
+      return await page.evaluate((list, margin) => {
+        for (const selector of list) {
+          const element = document.querySelector(selector);
+          
+          if (!element) continue;
+          
+          element.scrollIntoView({ block: 'center' });
+          const rect = element.getBoundingClientRect();
+          
+          if (rect.width === 0 || rect.height === 0) continue;
+          
+          const x = Math.max(0, rect.left + window.scrollX - margin);
+          const y = Math.max(0, rect.top + window.scrollY - margin);
+          
+          return {
+            x,
+            y,
+            width: Math.min(rect.width + margin * 2, document.documentElement.scrollWidth - x),
+            height: rect.height + margin * 2
+          };
+        }
+        
+        return null;
+      }, selectors, padding);
+    } catch (error) {
+      logger.warn(`Error locating element for screenshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save a screenshot of the part of a page that shows the price: the vendor's buy box
+   * or price element when one is on the page, otherwise the whole page
+   * @param {Page} page - Puppeteer page object
+   * @param {string} itemId - The ID of the item (for filename)
+   * @param {VendorAdapter|null} [adapter] - Vendor adapter, for its buy box and price selectors
+   * @returns {Promise<string>} Path to the screenshot
+   */
+  async saveScreenshot(page, itemId, adapter = null) {
+    const screenshotPath = path.join(screenshotsDir, `${itemId}_${Date.now()}.jpg`);
+    const selectors = adapter ? [...adapter.buyBoxSelectors, ...(adapter.priceSelectors.price || [])] : [];
+    let clip = await this.findElementClip(page, selectors, BUY_BOX_PADDING);
+    
+    if (clip) {
+      // Let content that loads on scroll render first
+      await page.waitForTimeout(500);
+      logger.debug(`Screenshotting buy box of ${page.url()}`);
+    } else {
+      const height = await page.evaluate(() => document.documentElement.scrollHeight).catch(() => 800);
+      const { width } = page.viewport() || { width: 1280 };
+      clip = { x: 0, y: 0, width, height: Math.min(Math.max(height, 1), MAX_FULL_PAGE_HEIGHT) };
+      logger.debug(`No buy box found on ${page.url()}, screenshotting the whole page`);
+    }
+    
+    await page.screenshot({ 
+      path: screenshotPath, 
+      type: 'jpeg', 
+      quality: 80,
+      clip,
+      captureBeyondViewport: true
+    });
+    
+    return screenshotPath;
+  }
+
+  /**
+   * Save a screenshot of a page's product title, shown to the vision model next to the buy box
+   * so it can tell whether the page shows the right product
+   * @param {Page} page - Puppeteer page object
+   * @param {string} itemId - The ID of the item (for filename)
+   * @param {VendorAdapter|null} [adapter] - Vendor adapter, for its title selectors
+   * @returns {Promise<string|null>} Path to the screenshot or null if the page has no title element
+   */
+  async saveTitleScreenshot(page, itemId, adapter = null) {
+    if (process.env.SCREENSHOT_TITLE_CROP === 'false') {
+      return null;
+    }
+    
+    const selectors = (adapter && adapter.priceSelectors.title) || ['h1'];
+    const clip = await this.findElementClip(page, selectors, TITLE_PADDING);
+    
+    if (!clip) {
+      return null;
+    }
+    
+    try {
+      const screenshotPath = path.join(screenshotsDir, `${itemId}_title_${Date.now()}.jpg`);
+      await page.screenshot({ path: screenshotPath, type: 'jpeg', quality: 80, clip, captureBeyondViewport: true });
+      return screenshotPath;
+    } catch (error) {
+      logger.warn(`Error taking title screenshot: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Take a screenshot of a product page
+   * @param {string} url - The URL of the product page
+   * @param {string} itemId - The ID of the item (for filename)
+   * @returns {Promise<string|null>} Path to the screenshot or null if failed
+   */
+  async takeScreenshot(url, itemId) {
+    const capture = await this.capturePage(url, itemId, { extract: false });
+    return capture ? capture.screenshotPath : null;
+  }
+
+/**
+ * Load a product page, try to read the price from its markup and take a screenshot
+ * when that fails, with improved error handling. Waits for a free slot for the
+ * vendor's site (see runOnSite) and for the site's turn (see request-scheduler.js).
+ * @param {string} url - The URL of the product page
+ * @param {string} itemId - The ID of the item (for filename)
+ * @param {Object} [options] - Capture options
+ * @param {boolean} [options.extract=true] - Try structured data and vendor selectors before screenshotting
+ * @param {string} [options.account] - Load the page logged in as this vendor account (see loginToVendor)
+ * @returns {Promise<Object|null>} Capture ({ url, finalUrl, extraction, screenshotPath, titleScreenshotPath, html,
+ *   resourcePolicy, blocked }) or null if failed; extraction is null when the price could not be read from the
+ *   markup, the screenshots (buy box, product title) are kept as evidence either way and html is the markup the
+ *   price was read from; resourcePolicy names the resources the page was loaded without (see
+ *   src/utils/resource-policy.js); blocked describes the bot challenge or block page the site answered with
+ *   instead of the product
+ */
+async capturePage(url, itemId, options = {}) {
+  const domain = this.extractDomain(url);
+  const adapter = vendorRegistry.findByDomain(domain);
+  const account = adapter ? options.account || null : null;
+  const sessionKey = adapter ? sessionManager.getSessionKey(adapter.key, account) : null;
+  
+  // Log in again when the vendor's session expired during the run
+  if (adapter && this.loggedInVendors.has(sessionKey) && !sessionManager.hasValidSession(sessionKey)) {
+    logger.info(`${adapter.name} session expired, logging in again`);
+    await this.loginToVendor(adapter, account);
+  }
+  
+  // Skip vendors whose product pages need a login we don't have, and accounts that aren't logged in
+  if (adapter && (adapter.requiresLogin || account) && !this.loggedInVendors.has(sessionKey)) {
+    logger.error(`Cannot process ${adapter.name} URL: ${url} - not logged in${account ? ` as account ${account}` : ''}`);
+    return null;
+  }
+  
+  return this.runOnSite(
+    requestScheduler.getSiteKey(domain),
+    () => this.loadProductPage(url, itemId, { ...options, domain, adapter, account }),
+    `capture ${url}`
+  );
+}
+
+/**
+ * Move a blocked site on to its next proxy. Its browser contexts, and with them the
+ * cookies tied to the old IP, are dropped; logged-in accounts log in again behind
+ * the new proxy on their next capture.
+ * @param {string} siteKey - Site key (see requestScheduler.getSiteKey)
+ * @param {VendorAdapter|null} adapter - Vendor adapter for the site
+ * @param {string} reason - What the site answered with
+ * @returns {Promise<boolean>} Whether the site switched to another proxy
+ */
+async switchProxy(siteKey, adapter, reason) {
+  if (!proxyManager.rotate(siteKey, reason)) {
+    return false;
+  }
+  
+  for (const key of await browserPool.retireSite(siteKey)) {
+    this.preparedVendors.delete(key);
+    
+    if (adapter) {
+      await sessionManager.clearSession(key);
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Navigate a page to a product URL and wait for it to settle
+ * @param {Page} page - Puppeteer page object
+ * @param {string} url - The URL of the product page
+ * @param {VendorAdapter|null} adapter - Vendor adapter for the page
+ * @returns {Promise<string|null>} The bot challenge or block page the site answered with, or null
+ */
+async openProductPage(page, url, adapter) {
+  const response = await page.goto(url, {
+    waitUntil: 'domcontentloaded', // Less strict than networkidle2
+    timeout: 60000 // 60 second timeout
+  });
+  
+  // Wait for the page to be in a more loaded state
+  await page.waitForFunction(
+    () => document.readyState === 'complete' || document.readyState === 'interactive',
+    { timeout: 10000 }
+  ).catch(e => {
+    logger.warn(`Page didn't reach 'complete' state for ${url}, continuing anyway: ${e.message}`);
+  });
+  
+  // Wait a bit more for any JS to execute
+  await page.waitForTimeout(3000);
+  
+  return detectBotChallenge(page, response, adapter ? adapter.botChallengeSelectors : []);
+}
+
 /**
- * Take a screenshot of a product page with improved error handling
+ * Load a product page in a browser pool page, retrying on errors (see capturePage)
  * @param {string} url - The URL of the product page
  * @param {string} itemId - The ID of the item (for filename)
- * @returns {Promise<string|null>} Path to the screenshot or null if failed
+ * @param {Object} options - Capture options
+ * @param {string} options.domain - Domain of the URL
+ * @param {VendorAdapter|null} options.adapter - Vendor adapter for the domain
+ * @param {string|null} [options.account] - Vendor account to load the page as
+ * @param {boolean} [options.extract=true] - Try structured data and vendor selectors before screenshotting
+ * @returns {Promise<Object|null>} Capture or null if failed
  */
-async takeScreenshot(url, itemId) {
+async loadProductPage(url, itemId, options) {
+  const { domain, adapter, account = null, extract = true } = options;
+  const siteKey = requestScheduler.getSiteKey(domain);
+  const contextKey = sessionManager.getSessionKey(siteKey, account);
+  const domPolicy = adapter ? adapter.domResourcePolicy : DEFAULT_DOM_RESOURCE_POLICY;
+  const visionPolicy = adapter ? adapter.visionResourcePolicy : DEFAULT_VISION_RESOURCE_POLICY;
   let retries = 0;
   const maxRetries = 2;
-  let page = null;
   
   while (retries <= maxRetries) {
     try {
-      const domain = this.extractDomain(url);
-      logger.info(`Taking screenshot of ${url} (attempt ${retries + 1}/${maxRetries + 1})`);
-      
-      // Check if we need to skip URLs for domains we're not logged into
-      // Note: HD Supply (ebarnett.com) doesn't require login to view product pages
-      const domainChecks = [
-        { domain: 'winsupplyinc.com', loginDomain: 'winsupplyinc.com', name: 'WinSupply', requiresLogin: true },
-        { domain: 'homedepot.com', loginDomain: 'homedepot.com', name: 'Home Depot', requiresLogin: false },
-        { domain: 'ebarnett.com', loginDomain: 'ebarnett.com', name: 'HD Supply', requiresLogin: false },
-        { domain: 'supplyhouse.com', loginDomain: 'supplyhouse.com', name: 'SupplyHouse.com', requiresLogin: false }
-      ];
-      
-      // Find the matching domain check
-      const domainCheck = domainChecks.find(check => domain.includes(check.domain));
-      
-      // If this is a domain that requires login and we're not logged in, skip it
-      if (domainCheck && domainCheck.requiresLogin && !this.loggedInDomains.has(domainCheck.loginDomain)) {
-        logger.error(`Cannot process ${domainCheck.name} URL: ${url} - not logged in`);
+      // Keep to the site's pace and daily budget
+      if (!await requestScheduler.waitForTurn(siteKey)) {
+        logger.error(`Skipping ${url}: the daily request budget for ${siteKey} is used up`);
         return null;
       }
       
-      // Get a new page for this request to avoid "Request is already handled" errors
-      try {
-        // If we're retrying, make sure the previous page is closed
-        if (page) {
-          await page.close().catch(e => logger.warn(`Error closing previous page: ${e.message}`));
-          page = null;
-        }
-        
-        // Create a new browser page with a specific ID to track it
-        page = await this.browser.newPage();
-        const pageId = Date.now() + Math.random().toString(36).substring(2, 15);
-        logger.info(`Created new page ${pageId} for ${url}`);
-        
-        // Set user agent
-        await page.setUserAgent(
-          'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        );
-        
-        // Set request interception to block unwanted resources
-        await page.setRequestInterception(true);
-        page.on('request', (request) => {
-          const resourceType = request.resourceType();
-          // Block unnecessary resource types to reduce browser load
-          if (['image', 'media', 'font', 'stylesheet'].includes(resourceType)) {
-            request.abort();
-          } else {
-            request.continue();
-          }
-        });
-        
-        // Set timeouts
-        await page.setDefaultNavigationTimeout(60000); // 60 seconds
-        await page.setDefaultTimeout(30000); // 30 seconds
-        
-        // Configure error handling
-        page.on('error', (err) => {
-          logger.error(`Page error for ${url}: ${err.message}`);
-        });
+      logger.info(`Capturing ${url} (attempt ${retries + 1}/${maxRetries + 1})`);
+      
+      const capture = await this.withPage(siteKey, async (page) => {
+        logger.info(`Using page ${page._id} for ${url}`);
         
-        page.on('pageerror', (err) => {
-          logger.error(`Page error in browser context for ${url}: ${err.message}`);
-        });
+        // Markup extraction needs no styling, a page that goes straight to the vision model does
+        page.setResourcePolicy(extract ? domPolicy : visionPolicy);
         
-        // Configure console logging from the browser
-        page.on('console', (msg) => {
-          if (msg.type() === 'error') {
-            logger.warn(`Browser console error for ${url}: ${msg.text()}`);
-          }
-        });
+        // Let the vendor set up the browser context (e.g. select a store) before its first page loads
+        if (adapter && !this.preparedVendors.has(contextKey)) {
+          await adapter.prepare(page);
+          this.preparedVendors.add(contextKey);
+        }
         
         // Navigate to the page with robust error handling
         logger.info(`Navigating to ${url}`);
         try {
-          await page.goto(url, {
-            waitUntil: 'domcontentloaded', // Less strict than networkidle2
-            timeout: 60000 // 60 second timeout
-          });
+          // The site answered with a block or challenge page instead of the product,
+          // retrying right away only digs the hole deeper
+          let blocked = await this.openProductPage(page, url, adapter);
           
-          // Wait for the page to be in a more loaded state
-          await page.waitForFunction(
-            () => document.readyState === 'complete' || document.readyState === 'interactive',
-            { timeout: 10000 }
-          ).catch(e => {
-            logger.warn(`Page didn't reach 'complete' state for ${url}, continuing anyway: ${e.message}`);
-          });
-          
-          // Wait a bit more for any JS to execute
-          await page.waitForTimeout(3000);
+          if (blocked) {
+            logger.warn(`Bot challenge on ${url}: ${blocked}`);
+            return { url, finalUrl: page.url(), extraction: null, screenshotPath: null, blocked, resourcePolicy: page._resourcePolicy };
+          }
           
           // Handle common popups and overlays
           await this.handleCommonPopups(page, domain);
           
-          // Take screenshot
-          const screenshotPath = path.join(screenshotsDir, `${itemId}_${Date.now()}.jpg`);
-          await page.screenshot({ 
-            path: screenshotPath, 
-            type: 'jpeg', 
-            quality: 80,
-            fullPage: false,
-            clip: {
-              x: 0,
-              y: 0,
-              width: 1280,
-              height: 800
+          // Structured data is cheaper and more reliable than the vision model, try it first
+          const extraction = extract ? await this.extractPriceFromPage(page, domain) : null;
+          
+          // The vision model gets the page as a shopper sees it: load it again with its stylesheets,
+          // as one more request against the site's pace and budget
+          if (!extraction && page._resourcePolicy !== visionPolicy) {
+            if (await requestScheduler.waitForTurn(siteKey)) {
+              logger.info(`No price in the markup of ${url}, reloading it with the ${visionPolicy} resource policy`);
+              page.setResourcePolicy(visionPolicy);
+              blocked = await this.openProductPage(page, url, adapter);
+              
+              if (blocked) {
+                logger.warn(`Bot challenge on ${url}: ${blocked}`);
+                return { url, finalUrl: page.url(), extraction: null, screenshotPath: null, blocked, resourcePolicy: page._resourcePolicy };
+              }
+              
+              await this.handleCommonPopups(page, domain);
+            } else {
+              logger.warn(`Daily request budget for ${siteKey} is used up, screenshotting ${url} without reloading its styles`);
             }
-          });
+          }
           
-          logger.info(`Screenshot saved to ${screenshotPath}`);
+          const finalUrl = page.url();
+          const html = await this.extractHtmlSnippet(page, adapter, extraction);
           
-          // Close the page to free resources
-          await page.close().catch(e => logger.warn(`Error closing page: ${e.message}`));
+          // Screenshots for the vision model, and as evidence of the price either way
+          const titleScreenshotPath = await this.saveTitleScreenshot(page, itemId, adapter);
+          const screenshotPath = await this.saveScreenshot(page, itemId, adapter);
+          logger.info(`Screenshot saved to ${screenshotPath}`);
           
-          return screenshotPath;
+          return { url, finalUrl, extraction, screenshotPath, titleScreenshotPath, html, resourcePolicy: page._resourcePolicy };
         } catch (navError) {
           // If navigation times out or fails, we'll still try to take a screenshot
           logger.warn(`Navigation error for ${url}: ${navError.message}`);
@@ -824,23 +923,19 @@ async takeScreenshot(url, itemId) {
             // Take a screenshot anyway, maybe we got enough of the page
             logger.info(`Attempting to take screenshot despite navigation error`);
             try {
-              const screenshotPath = path.join(screenshotsDir, `${itemId}_${Date.now()}.jpg`);
-              await page.screenshot({ 
-                path: screenshotPath, 
-                type: 'jpeg', 
-                quality: 80,
-                fullPage: false,
-                clip: {
-                  x: 0,
-                  y: 0,
-                  width: 1280,
-                  height: 800
-                }
-              });
+              const finalUrl = page.url();
+              const screenshotPath = await this.saveScreenshot(page, itemId, adapter);
               
               logger.info(`Partial screenshot saved to ${screenshotPath}`);
-              await page.close().catch(() => {});
-              return screenshotPath;
+              return {
+                url,
+                finalUrl,
+                extraction: null,
+                screenshotPath,
+                titleScreenshotPath: null,
+                html: null,
+                resourcePolicy: page._resourcePolicy
+              };
             } catch (ssError) {
               logger.error(`Failed to take partial screenshot: ${ssError.message}`);
               throw navError; // Re-throw the original error for retry handling
@@ -849,21 +944,24 @@ async takeScreenshot(url, itemId) {
             throw navError; // Re-throw for retry handling
           }
         }
-      } catch (pageError) {
-        logger.error(`Error with page for ${url}: ${pageError.message}`);
-        // Make sure we close the page to avoid memory leaks
-        if (page) {
-          await page.close().catch(() => {});
-        }
-        throw pageError; // Re-throw for retry handling
+      }, { account });
+      
+      if (capture.blocked) {
+        requestScheduler.reportError(siteKey, 'challenge');
+        await this.switchProxy(siteKey, adapter, capture.blocked);
+      } else {
+        requestScheduler.reportSuccess(siteKey);
       }
+      
+      return capture;
     } catch (error) {
-      logger.error(`Error taking screenshot of ${url} (attempt ${retries + 1}/${maxRetries + 1}): ${error.message}`);
+      logger.error(`Error capturing ${url} (attempt ${retries + 1}/${maxRetries + 1}): ${error.message}`);
+      requestScheduler.reportError(siteKey, 'error');
       
       retries++;
       
       if (retries > maxRetries) {
-        logger.error(`Failed to take screenshot of ${url} after ${maxRetries + 1} attempts`);
+        logger.error(`Failed to capture ${url} after ${maxRetries + 1} attempts`);
         return null;
       }
       
@@ -2,19 +2,83 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { logger } from '../utils/logger.js';
+import proxyManager from './proxy-manager.js';
+import { encryptJson, decryptJson, isEncrypted, getMasterKey, MASTER_KEY_ENV } from '../utils/encryption.js';
 
 // Get the directory name
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const SESSIONS_DIR = path.join(__dirname, '../../sessions');
-const SESSION_VALIDITY_HOURS = 24; // Sessions valid for 24 hours
+const DEFAULT_SESSION_VALIDITY_HOURS = 24; // For vendors that don't declare their own session lifetime
 
 /**
- * Session Manager for handling persistent sessions
+ * Session Manager for handling persistent vendor login sessions. Each vendor's
+ * session expires after the lifetime its adapter declares; a session that is
+ * still logged in is refreshed, anything else is replaced by a new login.
  */
 class SessionManager {
   constructor() {
     this.sessions = {};
     this.initialized = false;
+    this.warnedNoMasterKey = false;
+  }
+
+  /**
+   * Turn a session file's contents into session data, decrypting it if needed
+   * @param {Object} payload - Parsed session file
+   * @returns {Object} Session data
+   */
+  readSessionPayload(payload) {
+    if (!isEncrypted(payload)) {
+      return payload;
+    }
+    
+    const masterKey = getMasterKey();
+    
+    if (!masterKey) {
+      throw new Error(`session is encrypted, set ${MASTER_KEY_ENV} to use it`);
+    }
+    
+    return decryptJson(payload, masterKey);
+  }
+
+  /**
+   * Encrypt session data for writing
+   * @param {Object} sessionData - Session data
+   * @returns {Object} Payload to write
+   * @throws {Error} If no master key is configured
+   */
+  writeSessionPayload(sessionData) {
+    const masterKey = getMasterKey();
+    
+    if (!masterKey) {
+      throw new Error(`session cookies are only saved encrypted, set ${MASTER_KEY_ENV}`);
+    }
+    
+    return encryptJson(sessionData, masterKey);
+  }
+
+  /**
+   * Rewrite a session file saved before sessions were encrypted. Without a master
+   * key the plaintext file is deleted, the session is then kept for this run only
+   * @param {string} key - Session key
+   * @param {Object} sessionData - Session data
+   * @returns {Promise<void>}
+   */
+  async encryptSessionFile(key, sessionData) {
+    const filePath = path.join(SESSIONS_DIR, `${key}.json`);
+    
+    if (!getMasterKey()) {
+      await fs.unlink(filePath);
+      logger.warn(`Removed unencrypted session file for vendor ${key}, set ${MASTER_KEY_ENV} to save sessions`);
+      return;
+    }
+    
+    await fs.writeFile(
+      filePath,
+      JSON.stringify(this.writeSessionPayload(sessionData), null, 2),
+      { encoding: 'utf-8', mode: 0o600 }
+    );
+    logger.info(`Encrypted session file for vendor: ${key}`);
   }
 
   /**
@@ -34,18 +98,21 @@ class SessionManager {
       for (const file of files) {
         if (file.endsWith('.json')) {
           try {
-            const sessionData = JSON.parse(
-              await fs.readFile(path.join(SESSIONS_DIR, file), 'utf-8')
-            );
+            const payload = JSON.parse(await fs.readFile(path.join(SESSIONS_DIR, file), 'utf-8'));
+            const sessionData = this.readSessionPayload(payload);
             
-            const domain = file.replace('.json', '');
+            const key = file.replace('.json', '');
             
             // Check if session is still valid
             if (this.isSessionValid(sessionData)) {
-              this.sessions[domain] = sessionData;
-              logger.info(`Loaded valid session for domain: ${domain}`);
+              this.sessions[key] = sessionData;
+              logger.info(`Loaded valid session for vendor: ${key}`);
+              
+              if (!isEncrypted(payload)) {
+                await this.encryptSessionFile(key, sessionData);
+              }
             } else {
-              logger.info(`Found expired session for domain: ${domain}, will re-login`);
+              logger.info(`Found expired session for vendor: ${key}, will re-login`);
               // Remove expired session file
               await fs.unlink(path.join(SESSIONS_DIR, file));
             }
@@ -63,6 +130,18 @@ class SessionManager {
     }
   }
 
+  /**
+   * Get the key a vendor session is saved under: the vendor key for the vendor's
+   * default account, or vendor@account for a specific account, so several accounts
+   * of one vendor can be logged in side by side
+   * @param {string} vendor - Vendor key (see src/vendors)
+   * @param {string} [accountId] - Specific account
+   * @returns {string} Session key
+   */
+  getSessionKey(vendor, accountId = null) {
+    return accountId ? `${vendor}@${accountId}` : vendor;
+  }
+
   /**
    * Check if a session is still valid
    * @param {Object} sessionData - Session data object
@@ -73,71 +152,98 @@ class SessionManager {
       return false;
     }
     
+    if (sessionData.expiresAt) {
+      return new Date() < new Date(sessionData.expiresAt);
+    }
+    
+    // Sessions saved before vendors declared their own lifetime
     const sessionTime = new Date(sessionData.timestamp);
     const now = new Date();
     const diffHours = (now - sessionTime) / (1000 * 60 * 60);
     
-    return diffHours < SESSION_VALIDITY_HOURS;
+    return diffHours < DEFAULT_SESSION_VALIDITY_HOURS;
   }
 
   /**
-   * Save a session for a domain
-   * @param {string} domain - Domain name
+   * Check whether a vendor has a session that has not expired yet
+   * @param {string} key - Vendor key (see src/vendors)
+   * @returns {boolean} Whether the session is valid
+   */
+  hasValidSession(key) {
+    return this.isSessionValid(this.sessions[key]);
+  }
+
+  /**
+   * Save a session for a vendor
+   * @param {string} key - Vendor key (see src/vendors)
    * @param {Array} cookies - Array of cookies
    * @param {Object} extraData - Extra data to save with the session
-   * @returns {Promise<boolean>} Success status
+   * @param {number} [validityHours] - How long the session stays valid
+   * @returns {Promise<boolean>} Success status; false without a master key, the session is then only kept for this run
    */
-  async saveSession(domain, cookies, extraData = {}) {
+  async saveSession(key, cookies, extraData = {}, validityHours = DEFAULT_SESSION_VALIDITY_HOURS) {
     if (!this.initialized) {
       await this.initialize();
     }
     
     try {
+      const now = new Date();
       const sessionData = {
-        timestamp: new Date().toISOString(),
+        timestamp: now.toISOString(),
+        expiresAt: new Date(now.getTime() + validityHours * 60 * 60 * 1000).toISOString(),
         cookies: cookies,
         ...extraData
       };
       
-      this.sessions[domain] = sessionData;
+      this.sessions[key] = sessionData;
+      
+      // Cookies log in as the account, they never go to disk unencrypted
+      if (!getMasterKey()) {
+        if (!this.warnedNoMasterKey) {
+          logger.warn(`${MASTER_KEY_ENV} is not set, login sessions are kept for this run only and not saved`);
+          this.warnedNoMasterKey = true;
+        }
+        
+        return false;
+      }
       
       // Save to file
       await fs.writeFile(
-        path.join(SESSIONS_DIR, `${domain}.json`),
-        JSON.stringify(sessionData, null, 2),
-        'utf-8'
+        path.join(SESSIONS_DIR, `${key}.json`),
+        JSON.stringify(this.writeSessionPayload(sessionData), null, 2),
+        { encoding: 'utf-8', mode: 0o600 }
       );
       
-      logger.info(`Saved session for domain: ${domain}`);
+      logger.info(`Saved session for vendor: ${key}`);
       return true;
     } catch (error) {
-      logger.error(`Error saving session for domain ${domain}: ${error.message}`);
+      logger.error(`Error saving session for vendor ${key}: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * Get a session for a domain
-   * @param {string} domain - Domain name
+   * Get a session for a vendor
+   * @param {string} key - Vendor key (see src/vendors)
    * @returns {Promise<Object|null>} Session data or null if not found or expired
    */
-  async getSession(domain) {
+  async getSession(key) {
     if (!this.initialized) {
       await this.initialize();
     }
     
-    const session = this.sessions[domain];
+    const session = this.sessions[key];
     
     if (!session) {
       return null;
     }
     
     if (!this.isSessionValid(session)) {
-      logger.info(`Session for domain ${domain} has expired, removing it`);
-      delete this.sessions[domain];
+      logger.info(`Session for vendor ${key} has expired, removing it`);
+      delete this.sessions[key];
       
       try {
-        await fs.unlink(path.join(SESSIONS_DIR, `${domain}.json`));
+        await fs.unlink(path.join(SESSIONS_DIR, `${key}.json`));
       } catch (error) {
         logger.warn(`Error removing expired session file: ${error.message}`);
       }
@@ -149,29 +255,29 @@ class SessionManager {
   }
 
   /**
-   * Clear a session for a domain
-   * @param {string} domain - Domain name
+   * Clear a session for a vendor
+   * @param {string} key - Vendor key (see src/vendors)
    * @returns {Promise<boolean>} Success status
    */
-  async clearSession(domain) {
+  async clearSession(key) {
     if (!this.initialized) {
       await this.initialize();
     }
     
-    delete this.sessions[domain];
+    delete this.sessions[key];
     
     try {
-      const filePath = path.join(SESSIONS_DIR, `${domain}.json`);
+      const filePath = path.join(SESSIONS_DIR, `${key}.json`);
       const exists = await fs.access(filePath).then(() => true).catch(() => false);
       
       if (exists) {
         await fs.unlink(filePath);
       }
       
-      logger.info(`Cleared session for domain: ${domain}`);
+      logger.info(`Cleared session for vendor: ${key}`);
       return true;
     } catch (error) {
-      logger.warn(`Error clearing session for domain ${domain}: ${error.message}`);
+      logger.warn(`Error clearing session for vendor ${key}: ${error.message}`);
       return false;
     }
   }
@@ -206,12 +312,12 @@ class SessionManager {
   
   /**
    * Apply session cookies to a page
-   * @param {string} domain - Domain name
+   * @param {string} key - Vendor key (see src/vendors)
    * @param {Page} page - Puppeteer page
    * @returns {Promise<boolean>} Success status
    */
-  async applySessionToPage(domain, page) {
-    const session = await this.getSession(domain);
+  async applySessionToPage(key, page) {
+    const session = await this.getSession(key);
     
     if (!session || !session.cookies || !session.cookies.length) {
       return false;
@@ -219,7 +325,7 @@ class SessionManager {
     
     try {
       await page.setCookie(...session.cookies);
-      logger.info(`Applied session cookies to page for domain: ${domain}`);
+      logger.info(`Applied session cookies to page for vendor: ${key}`);
       return true;
     } catch (error) {
       logger.error(`Error applying session cookies to page: ${error.message}`);
@@ -227,6 +333,106 @@ class SessionManager {
     }
   }
   
+  /**
+   * Save the cookies of a logged-in vendor page for the vendor's session lifetime,
+   * together with the proxy they were set through
+   * @param {VendorAdapter} adapter - Vendor adapter (see src/vendors)
+   * @param {Page} page - Puppeteer page
+   * @param {string} [accountId] - Account the session belongs to
+   * @param {string} [sessionKey] - Key to save the session under (see getSessionKey)
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveVendorSession(adapter, page, accountId = null, sessionKey = adapter.key) {
+    try {
+      const cookies = await page.cookies();
+      return await this.saveSession(
+        sessionKey,
+        cookies,
+        { vendor: adapter.name, account: accountId, proxy: proxyManager.getProxyId(adapter.key) },
+        adapter.sessionValidityHours
+      );
+    } catch (error) {
+      logger.warn(`Error saving ${adapter.name} session: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Restore a vendor's saved session and probe whether it is still logged in.
+   * A session that is refreshes its cookies and lifetime; one that isn't is cleared,
+   * as is one saved through another proxy than the vendor's current one.
+   * @param {VendorAdapter} adapter - Vendor adapter (see src/vendors)
+   * @param {Page} page - Puppeteer page
+   * @param {string} [accountId] - Account that should be logged in; another account's session is discarded
+   * @param {string} [sessionKey] - Key the session is saved under (see getSessionKey)
+   * @returns {Promise<boolean>} Whether the restored session is logged in
+   */
+  async restoreVendorSession(adapter, page, accountId = null, sessionKey = adapter.key) {
+    try {
+      const session = await this.getSession(sessionKey);
+      
+      if (session && accountId && session.account && session.account !== accountId) {
+        logger.info(`Saved ${adapter.name} session belongs to another account, logging in again`);
+        await this.clearSession(sessionKey);
+        return false;
+      }
+      
+      // Cookies from another IP address look like a hijacked session to most vendors
+      if (session && (session.proxy || null) !== proxyManager.getProxyId(adapter.key)) {
+        logger.info(`Saved ${adapter.name} session was saved through a different proxy, logging in again`);
+        await this.clearSession(sessionKey);
+        return false;
+      }
+      
+      const applied = await this.applySessionToPage(sessionKey, page);
+      
+      if (!applied) {
+        return false;
+      }
+      
+      if (await adapter.checkSession(page)) {
+        logger.info(`Restored saved ${adapter.name} session`);
+        await this.saveVendorSession(adapter, page, session.account || accountId, sessionKey);
+        return true;
+      }
+      
+      logger.info(`Saved ${adapter.name} session is no longer logged in, logging in again`);
+      await this.clearSession(sessionKey);
+      return false;
+    } catch (error) {
+      logger.warn(`Error restoring ${adapter.name} session: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Make sure a vendor is logged in: reuse its saved session while that is still
+   * logged in, otherwise run the login and save the new session
+   * @param {VendorAdapter} adapter - Vendor adapter (see src/vendors)
+   * @param {Page} page - Puppeteer page used for the probe and the login
+   * @param {Function} login - Runs the full login flow on the page, resolves to a success status
+   * @param {string} [accountId] - Account being logged in
+   * @param {string} [sessionKey] - Key the session is saved under (see getSessionKey)
+   * @returns {Promise<boolean>} Whether the vendor is logged in
+   */
+  async ensureVendorSession(adapter, page, login, accountId = null, sessionKey = adapter.key) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    
+    if (await this.restoreVendorSession(adapter, page, accountId, sessionKey)) {
+      return true;
+    }
+    
+    const loggedIn = await login();
+    
+    if (loggedIn) {
+      await this.saveVendorSession(adapter, page, accountId, sessionKey);
+    }
+    
+    return loggedIn;
+  }
+  
   /**
    * Get status of session manager
    * @returns {Object} Status information
@@ -235,7 +441,10 @@ class SessionManager {
     return {
       initialized: this.initialized,
       activeSessions: Object.keys(this.sessions).length,
-      sessionDomains: Object.keys(this.sessions)
+      sessionKeys: Object.keys(this.sessions),
+      expiresAt: Object.fromEntries(
+        Object.entries(this.sessions).map(([key, session]) => [key, session.expiresAt || null])
+      )
     };
   }
 }
@@ -0,0 +1,229 @@
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import gemini from '../vision/gemini.js';
+import tesseract from '../vision/tesseract.js';
+
+// Load environment variables
+dotenv.config();
+
+// Providers tried in this order unless VISION_PROVIDERS says otherwise
+const DEFAULT_PROVIDERS = 'gemini,tesseract';
+
+// Confidence below which the next provider is asked as well
+const DEFAULT_FALLBACK_CONFIDENCE = 0.7;
+
+// Two extractions agree when their prices are within a cent or this share of each other
+const AGREEMENT_TOLERANCE = 0.01;
+
+/**
+ * Get the listed price of an extraction, undoing the per-foot division
+ * @param {Object} extraction - Extraction
+ * @returns {number} Listed price
+ */
+function listedPrice(extraction) {
+  return extraction.perFoot && extraction.totalFeet > 0 ? extraction.price * extraction.totalFeet : extraction.price;
+}
+
+/**
+ * Whether two extractions read the same price
+ * @param {Object} a - Extraction
+ * @param {Object} b - Extraction
+ * @returns {boolean} Whether the prices agree
+ */
+function pricesAgree(a, b) {
+  if (a.price === null || b.price === null || a.perFoot !== b.perFoot) {
+    return false;
+  }
+
+  return Math.abs(a.price - b.price) <= Math.max(0.01, Math.max(a.price, b.price) * AGREEMENT_TOLERANCE);
+}
+
+/**
+ * Reads prices from screenshots with the configured vision providers (see src/vision).
+ * Providers are tried in VISION_PROVIDERS order: when one fails, finds no price or is
+ * less sure than VISION_FALLBACK_CONFIDENCE, the next one is asked and the most
+ * confident price wins. Prices from VISION_AGREEMENT_MIN_PRICE up, and prices read by
+ * a provider that requires agreement (OCR), must be confirmed by a second provider;
+ * when no other provider reads the same price, the extraction is returned with a
+ * confidence of 0 so it is held for review.
+ */
+class VisionService {
+  constructor() {
+    this.providers = [];
+    this.order = (process.env.VISION_PROVIDERS || DEFAULT_PROVIDERS)
+      .split(',').map(key => key.trim()).filter(Boolean);
+    this.fallbackConfidence = parseFloat(process.env.VISION_FALLBACK_CONFIDENCE ||
+      process.env.MIN_EXTRACTION_CONFIDENCE || DEFAULT_FALLBACK_CONFIDENCE);
+    this.agreementMinPrice = parseFloat(process.env.VISION_AGREEMENT_MIN_PRICE || '0');
+  }
+
+  /**
+   * Register a vision provider
+   * @param {VisionProvider} provider - Provider to register
+   * @returns {VisionService} The service, for chaining
+   */
+  register(provider) {
+    if (this.providers.some(registered => registered.key === provider.key)) {
+      throw new Error(`Vision provider ${provider.key} is already registered`);
+    }
+
+    this.providers.push(provider);
+    logger.debug(`Registered vision provider ${provider.key}`);
+    return this;
+  }
+
+  /**
+   * Get the providers to use, in VISION_PROVIDERS order, leaving out unconfigured ones
+   * @returns {Array<VisionProvider>} Providers
+   */
+  getProviders() {
+    return this.order
+      .map(key => this.providers.find(provider => provider.key === key))
+      .filter(provider => provider && provider.isAvailable());
+  }
+
+  /**
+   * Extract price details with one provider
+   * @param {VisionProvider} provider - Provider
+   * @param {string} screenshotPath - Path to the screenshot file
+   * @param {string} productName - Name of the product
+   * @param {Object} options - Extraction options
+   * @returns {Promise<Object|null>} Extraction with the provider's key, or null if the provider failed
+   */
+  async runProvider(provider, screenshotPath, productName, options) {
+    try {
+      const extraction = await provider.extract(screenshotPath, productName, options);
+
+      if (!extraction) {
+        logger.warn(`${provider.name} could not analyze the screenshot for ${productName}`);
+        return null;
+      }
+
+      if (extraction.price === null) {
+        logger.warn(`${provider.name} found no price in the screenshot for ${productName}`);
+      } else if (extraction.perFoot) {
+        logger.info(`${provider.name} extracted per-foot price ${extraction.price} for ${productName} (${extraction.totalFeet} feet total, confidence ${extraction.confidence})`);
+      } else {
+        logger.info(`${provider.name} extracted price ${extraction.price} for ${productName} (confidence ${extraction.confidence})`);
+      }
+
+      return { ...extraction, provider: provider.key };
+    } catch (error) {
+      logger.error(`Error extracting price from image with ${provider.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Extract price details from a screenshot
+   * @param {string} screenshotPath - Path to the screenshot file (the buy box, or the whole page)
+   * @param {string} productName - Name of the product (for context)
+   * @param {Object} [options] - Extraction options
+   * @param {string} [options.hint] - Vendor-specific instruction, e.g. which of several prices to pick
+   * @param {string} [options.titleScreenshotPath] - Screenshot of the product title
+   * @returns {Promise<Object|null>} Extraction ({ price, currency, unitOfMeasure, packQuantity, perFoot,
+   *   totalFeet, stockStatus, productTitle, productSku, confidence, method, provider, agreement }) with a null
+   *   price when no price was found, or null if no provider could analyze the screenshot. agreement
+   *   ({ agreed, providers, prices }) is only set when a second provider was asked to confirm the price.
+   */
+  async extractPriceFromImage(screenshotPath, productName, options = {}) {
+    const providers = this.getProviders();
+
+    if (providers.length === 0) {
+      logger.error(`No vision provider is configured (VISION_PROVIDERS=${this.order.join(',')}), can't read the screenshot for ${productName}`);
+      return null;
+    }
+
+    let best = null;
+    const asked = [];
+
+    for (const provider of providers) {
+      const extraction = await this.runProvider(provider, screenshotPath, productName, options);
+      asked.push({ provider, extraction });
+
+      // The most confident price so far, or an answer without a price when no provider found one
+      if (extraction && (!best || (extraction.price !== null && (best.price === null || extraction.confidence > best.confidence)))) {
+        best = extraction;
+      }
+
+      if (best && best.price !== null && best.confidence >= this.fallbackConfidence) {
+        break;
+      }
+
+      if (provider !== providers[providers.length - 1]) {
+        logger.info(`Falling back to the next vision provider for ${productName}`);
+      }
+    }
+
+    if (!best || best.price === null) {
+      return best;
+    }
+
+    const source = providers.find(provider => provider.key === best.provider);
+    const highValue = this.agreementMinPrice > 0 && listedPrice(best) >= this.agreementMinPrice;
+
+    if (!source.requiresAgreement && !highValue) {
+      return best;
+    }
+
+    return this.confirmExtraction(best, asked, providers, screenshotPath, productName, options);
+  }
+
+  /**
+   * Have a second provider confirm a high-value price
+   * @param {Object} extraction - Extraction to confirm
+   * @param {Array<Object>} asked - Providers already asked, with their extractions ({ provider, extraction })
+   * @param {Array<VisionProvider>} providers - Available providers
+   * @param {string} screenshotPath - Path to the screenshot file
+   * @param {string} productName - Name of the product
+   * @param {Object} options - Extraction options
+   * @returns {Promise<Object>} The extraction with its agreement; a confidence of 0 when no provider agreed
+   */
+  async confirmExtraction(extraction, asked, providers, screenshotPath, productName, options) {
+    const others = [];
+
+    for (const provider of providers.filter(provider => provider.key !== extraction.provider)) {
+      const previous = asked.find(entry => entry.provider === provider);
+      const other = previous
+        ? previous.extraction
+        : await this.runProvider(provider, screenshotPath, productName, options);
+
+      if (!other) continue;
+
+      others.push(other);
+
+      if (pricesAgree(extraction, other)) {
+        logger.info(`${provider.name} confirms price ${extraction.price} for ${productName}`);
+
+        return {
+          ...extraction,
+          confidence: Math.max(extraction.confidence, other.confidence),
+          agreement: { agreed: true, providers: [extraction.provider, other.provider], prices: [extraction.price, other.price] }
+        };
+      }
+    }
+
+    logger.warn(
+      `No second vision provider confirms price ${extraction.price} for ${productName} ` +
+      `(${others.length > 0 ? others.map(other => `${other.provider}: ${other.price}`).join(', ') : 'no other provider answered'}), holding it for review`
+    );
+
+    return {
+      ...extraction,
+      confidence: 0,
+      agreement: {
+        agreed: false,
+        providers: [extraction.provider, ...others.map(other => other.provider)],
+        prices: [extraction.price, ...others.map(other => other.price)]
+      }
+    };
+  }
+}
+
+const visionService = new VisionService();
+
+visionService
+  .register(gemini)
+  .register(tesseract);
+
+export default visionService;
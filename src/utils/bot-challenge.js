@@ -0,0 +1,77 @@
+// Elements of bot-protection interstitials (PerimeterX, Cloudflare, DataDome, reCAPTCHA/hCaptcha).
+// reCAPTCHA and hCaptcha widgets sit invisibly on many normal pages, so only their
+// challenge frames count, and like every other element only while they are shown.
+export const BOT_CHALLENGE_SELECTORS = [
+  '#px-captcha',
+  '#challenge-form',
+  'iframe[src*="challenges.cloudflare.com"]',
+  'iframe[src*="captcha-delivery.com"]',
+  'iframe[src*="/recaptcha/"][src*="/bframe"]',
+  'iframe[src*="hcaptcha"][src*="frame=challenge"]'
+];
+
+// Titles and texts of block and challenge pages
+export const BOT_CHALLENGE_PATTERNS = [
+  /access denied/i,
+  /pardon our interruption/i,
+  /press (&|and) hold/i,
+  /verify (that )?you are (a )?human/i,
+  /are you a robot/i,
+  /just a moment\.\.\./i,
+  /unusual traffic/i,
+  /request unsuccessful/i
+];
+
+// Status codes bot protection answers with instead of the page (Forbidden, Too Many Requests)
+export const BOT_CHALLENGE_STATUS_CODES = [403, 429];
+
+// Challenge pages are short; longer pages mentioning these phrases are real content
+const MAX_CHALLENGE_TEXT_LENGTH = 3000;
+
+/**
+ * Check whether a page is a bot challenge or block page instead of the requested content
+ * @param {Page} page - Puppeteer page object
+ * @param {HTTPResponse|null} [response] - Response of the page's navigation
+ * @param {Array<string>} [extraSelectors] - Vendor-specific challenge elements
+ * @returns {Promise<string|null>} What gave the challenge away, or null for a normal page
+ */
+export async function detectBotChallenge(page, response = null, extraSelectors = []) {
+  if (response) {
+    const headers = response.headers();
+
+    // Cloudflare flags its challenge responses
+    if (headers['cf-mitigated'] === 'challenge') {
+      return 'Cloudflare challenge response';
+    }
+
+    if (BOT_CHALLENGE_STATUS_CODES.includes(response.status())) {
+      return `HTTP ${response.status()}`;
+    }
+  }
+
+  const { title, text, selector } = await page.evaluate(({ selectors, maxLength }) => {
+    // Hidden widgets are laid out off screen, at zero size or with visibility hidden (inherited from a container)
+    const isVisible = (element) => {
+      const rect = element.getBoundingClientRect();
+      const style = window.getComputedStyle(element);
+
+      return rect.width > 0 && rect.height > 0 && rect.bottom > 0 && rect.right > 0 &&
+        style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0;
+    };
+
+    return {
+      title: document.title || '',
+      text: document.body ? document.body.innerText.slice(0, maxLength + 1) : '',
+      selector: selectors.find(candidate => Array.from(document.querySelectorAll(candidate)).some(isVisible)) || null
+    };
+  }, { selectors: [...BOT_CHALLENGE_SELECTORS, ...extraSelectors], maxLength: MAX_CHALLENGE_TEXT_LENGTH });
+
+  if (selector) {
+    return `challenge element ${selector}`;
+  }
+
+  const pattern = BOT_CHALLENGE_PATTERNS.find(candidate =>
+    candidate.test(title) || (text.length <= MAX_CHALLENGE_TEXT_LENGTH && candidate.test(text)));
+
+  return pattern ? `page says "${(title.match(pattern) || text.match(pattern))[0]}"` : null;
+}
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+// Environment variable holding the master key for the credential and session store
+export const MASTER_KEY_ENV = 'CREDENTIAL_MASTER_KEY';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const FORMAT_VERSION = 1;
+
+/**
+ * Read the master key from the environment
+ * @returns {string|null} Master key or null if it is not set
+ */
+export function getMasterKey() {
+  return process.env[MASTER_KEY_ENV] || null;
+}
+
+/**
+ * Derive an encryption key from the master key
+ * @param {string} masterKey - Master key
+ * @param {Buffer} salt - Salt stored with the encrypted data
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(masterKey, salt) {
+  return crypto.scryptSync(masterKey, salt, KEY_LENGTH);
+}
+
+/**
+ * Check whether a parsed file holds data written by encryptJson
+ * @param {Object} payload - Parsed file contents
+ * @returns {boolean} Whether the payload is encrypted
+ */
+export function isEncrypted(payload) {
+  return !!payload && payload.encrypted === FORMAT_VERSION && typeof payload.data === 'string';
+}
+
+/**
+ * Encrypt a JSON-serializable value with the master key
+ * @param {*} value - Value to encrypt
+ * @param {string} masterKey - Master key
+ * @returns {Object} Encrypted payload ({ encrypted, salt, iv, tag, data }), safe to write as JSON
+ */
+export function encryptJson(value, masterKey) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(masterKey, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf-8'), cipher.final()]);
+
+  return {
+    encrypted: FORMAT_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a payload written by encryptJson
+ * @param {Object} payload - Encrypted payload
+ * @param {string} masterKey - Master key
+ * @returns {*} Decrypted value
+ * @throws {Error} If the master key is wrong or the data was tampered with
+ */
+export function decryptJson(payload, masterKey) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    deriveKey(masterKey, Buffer.from(payload.salt, 'base64')),
+    Buffer.from(payload.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+  try {
+    const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf-8'));
+  } catch (error) {
+    throw new Error('Could not decrypt data: wrong master key or corrupted file');
+  }
+}
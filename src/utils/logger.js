@@ -77,4 +77,52 @@ const outdatedUrlLogger = winston.createLogger({
   ]
 });
 
-export { logger, priceChangeLogger, outdatedUrlLogger };
+// Create a separate logger for low-confidence extractions that need a manual review
+const lowConfidenceLogger = winston.createLogger({
+  level: 'info',
+  transports: [
+    new winston.transports.File({
+      filename: path.join(logsDir, 'low-confidence.log'),
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ message, timestamp }) => {
+          return `${timestamp}: ${message}`;
+        })
+      )
+    })
+  ]
+});
+
+// Create a separate logger for item sources whose page shows a different product
+const wrongProductLogger = winston.createLogger({
+  level: 'info',
+  transports: [
+    new winston.transports.File({
+      filename: path.join(logsDir, 'wrong-products.log'),
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ message, timestamp }) => {
+          return `${timestamp}: ${message}`;
+        })
+      )
+    })
+  ]
+});
+
+// Create a separate logger for item sources whose vendor answered with a bot challenge or block page
+const blockedUrlLogger = winston.createLogger({
+  level: 'info',
+  transports: [
+    new winston.transports.File({
+      filename: path.join(logsDir, 'blocked-urls.log'),
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.printf(({ message, timestamp }) => {
+          return `${timestamp}: ${message}`;
+        })
+      )
+    })
+  ]
+});
+
+export { logger, priceChangeLogger, outdatedUrlLogger, lowConfidenceLogger, wrongProductLogger, blockedUrlLogger };
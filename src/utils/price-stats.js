@@ -0,0 +1,144 @@
+/**
+ * Round a value to two decimal places
+ * @param {number} value - The value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Convert a price history entry to a time series point
+ * @param {Object} entry - Price history entry
+ * @returns {Object} Time series point
+ */
+function toPoint(entry) {
+  return {
+    recordedAt: entry.recorded_at,
+    itemSourceId: entry.item_source_id,
+    materialItemId: entry.item_id,
+    vendorId: entry.source_id,
+    vendorName: entry.sources?.name || null,
+    salePrice: entry.sale_price,
+    priceWithTax: entry.price_with_tax,
+    perFoot: entry.per_foot,
+    runId: entry.run_id
+  };
+}
+
+/**
+ * Calculate min/max/average of the prices (with tax) in a set of entries
+ * @param {Array} entries - Price history entries, oldest first
+ * @returns {Object} Price statistics (values are null when there are no entries)
+ */
+export function summarizePrices(entries) {
+  if (entries.length === 0) {
+    return { count: 0, min: null, max: null, average: null, first: null, latest: null };
+  }
+
+  const prices = entries.map(entry => Number(entry.price_with_tax));
+  const total = prices.reduce((sum, price) => sum + price, 0);
+
+  return {
+    count: prices.length,
+    min: round(Math.min(...prices)),
+    max: round(Math.max(...prices)),
+    average: round(total / prices.length),
+    first: round(prices[0]),
+    latest: round(prices[prices.length - 1])
+  };
+}
+
+/**
+ * Calculate the percent change of the price (with tax) since a date.
+ * The base price is the last one recorded at or before the date, or the
+ * first one recorded after it when there is no earlier price.
+ * @param {Array} entries - Price history entries, oldest first
+ * @param {Date} since - Date to compare against
+ * @returns {Object|null} Percent change or null if there are no entries
+ */
+export function percentChangeSince(entries, since) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const before = entries.filter(entry => new Date(entry.recorded_at) <= since);
+  const base = before.length > 0 ? before[before.length - 1] : entries[0];
+  const latest = entries[entries.length - 1];
+  const basePrice = Number(base.price_with_tax);
+  const latestPrice = Number(latest.price_with_tax);
+
+  return {
+    since: since.toISOString(),
+    basePrice: round(basePrice),
+    baseRecordedAt: base.recorded_at,
+    latestPrice: round(latestPrice),
+    latestRecordedAt: latest.recorded_at,
+    percentChange: basePrice > 0 ? round(((latestPrice - basePrice) / basePrice) * 100) : null
+  };
+}
+
+/**
+ * Build a price trend (time series, window statistics and percent change) from price history
+ * @param {Array} entries - Price history entries, oldest first
+ * @param {Object} options - Trend options
+ * @param {Date} options.from - Start of the statistics window
+ * @param {Date} options.since - Date to calculate the percent change from
+ * @returns {Object} Price trend
+ */
+export function buildPriceTrend(entries, options) {
+  const { from, since } = options;
+  const windowEntries = entries.filter(entry => new Date(entry.recorded_at) >= from);
+
+  return {
+    series: windowEntries.map(toPoint),
+    stats: summarizePrices(windowEntries),
+    change: percentChangeSince(entries, since)
+  };
+}
+
+/**
+ * Build one price trend per group of price history entries
+ * @param {Array} entries - Price history entries, oldest first
+ * @param {string} key - Entry field to group by (e.g. 'source_id' or 'item_id')
+ * @param {Object} options - Trend options, see buildPriceTrend
+ * @returns {Object} Price trends keyed by the group value
+ */
+export function buildPriceTrendsBy(entries, key, options) {
+  const groups = {};
+
+  for (const entry of entries) {
+    const value = entry[key];
+
+    if (!groups[value]) {
+      groups[value] = [];
+    }
+
+    groups[value].push(entry);
+  }
+
+  const trends = {};
+
+  for (const [value, groupEntries] of Object.entries(groups)) {
+    trends[value] = buildPriceTrend(groupEntries, options);
+  }
+
+  return trends;
+}
+
+/**
+ * Average the percent changes of a set of price trends
+ * @param {Array} trends - Price trends
+ * @returns {number|null} Average percent change or null if no trend has one
+ */
+export function averagePercentChange(trends) {
+  const changes = trends
+    .map(trend => trend.change?.percentChange)
+    .filter(change => typeof change === 'number');
+
+  if (changes.length === 0) {
+    return null;
+  }
+
+  return round(changes.reduce((sum, change) => sum + change, 0) / changes.length);
+}
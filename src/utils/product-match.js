@@ -0,0 +1,89 @@
+// Words that say nothing about which product a title describes
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'with', 'in', 'x', 'by', 'to', 'on', 'per']);
+const MIN_PARTIAL_SKU_LENGTH = 4;
+
+/**
+ * Normalize a SKU or part number for comparison
+ * @param {string} value - SKU or part number
+ * @returns {string} Lowercase value with only letters and digits
+ */
+export function normalizeSku(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a product title into comparable tokens
+ * @param {string} title - Product title
+ * @returns {Array<string>} Lowercase tokens without stop words
+ */
+export function tokenizeTitle(title) {
+  return String(title || '')
+    .toLowerCase()
+    // Keep sizes like 3/4 and 1.5 together, split on everything else
+    .split(/[^a-z0-9/.]+/)
+    .map(token => token.replace(/^[/.]+|[/.]+$/g, ''))
+    .filter(token => token.length > 0 && !STOP_WORDS.has(token));
+}
+
+/**
+ * Calculate how much of a material item name appears in a page title
+ * @param {string} materialName - Material item name
+ * @param {string} pageTitle - Product title seen on the page
+ * @returns {number} Share of the material name tokens found in the page title (0-1)
+ */
+export function titleMatchScore(materialName, pageTitle) {
+  const nameTokens = [...new Set(tokenizeTitle(materialName))];
+  const pageTokens = new Set(tokenizeTitle(pageTitle));
+
+  if (nameTokens.length === 0) {
+    return 0;
+  }
+
+  const matched = nameTokens.filter(token => pageTokens.has(token)).length;
+  return Math.round((matched / nameTokens.length) * 100) / 100;
+}
+
+/**
+ * Check whether the product seen on a page is the material item we priced it for.
+ * A SKU match is decisive; otherwise the page title has to share enough of the
+ * material name. Vendor item numbers often differ from our SKU, so a SKU mismatch
+ * on its own is not treated as a wrong product.
+ * @param {Object} materialItem - The material item (name and sku)
+ * @param {Object} extraction - Extraction with the productTitle and productSku seen on the page
+ * @param {number} threshold - Minimum title match score (0-1)
+ * @returns {Object} Verification ({ status: 'matched' | 'mismatch' | 'unverified', reason, titleScore, skuMatched })
+ */
+export function verifyProductIdentity(materialItem, extraction, threshold) {
+  const pageTitle = extraction.productTitle;
+  const sku = normalizeSku(materialItem.sku);
+  const pageSku = normalizeSku(extraction.productSku);
+
+  // Partial SKU matches only count when both sides are long enough not to match by chance
+  const skuMatched = sku.length > 0 && (
+    pageSku === sku ||
+    (sku.length >= MIN_PARTIAL_SKU_LENGTH && pageSku.length >= MIN_PARTIAL_SKU_LENGTH &&
+      (pageSku.includes(sku) || sku.includes(pageSku))) ||
+    (sku.length >= MIN_PARTIAL_SKU_LENGTH && normalizeSku(pageTitle).includes(sku))
+  );
+
+  if (skuMatched) {
+    return { status: 'matched', reason: 'SKU matches', titleScore: null, skuMatched };
+  }
+
+  if (!pageTitle) {
+    return { status: 'unverified', reason: 'No product title or SKU visible on the page', titleScore: null, skuMatched };
+  }
+
+  const titleScore = titleMatchScore(materialItem.name, pageTitle);
+
+  if (titleScore >= threshold) {
+    return { status: 'matched', reason: `Title match score ${titleScore}`, titleScore, skuMatched };
+  }
+
+  return {
+    status: 'mismatch',
+    reason: `Page shows "${pageTitle}" (title match score ${titleScore} below ${threshold})`,
+    titleScore,
+    skuMatched
+  };
+}
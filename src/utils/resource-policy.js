@@ -0,0 +1,22 @@
+// Resource types each policy keeps a page from loading. Reading a price from the markup
+// needs none of the page's styling; a screenshot for the vision model needs the stylesheets
+// and fonts so prices (and superscript cents) render the way a shopper sees them, and
+// sometimes the images too. Video is never needed.
+export const RESOURCE_POLICIES = {
+  markup: ['image', 'media', 'font', 'stylesheet'],
+  styled: ['image', 'media'],
+  full: ['media']
+};
+
+// Policy for pages read from their markup, and for pages screenshotted for the vision model
+export const DEFAULT_DOM_RESOURCE_POLICY = 'markup';
+export const DEFAULT_VISION_RESOURCE_POLICY = 'styled';
+
+/**
+ * Get the resource types a policy blocks
+ * @param {string} policy - Policy name (markup, styled or full)
+ * @returns {Array<string>} Blocked resource types; unknown policies block like markup
+ */
+export function getBlockedResourceTypes(policy) {
+  return RESOURCE_POLICIES[policy] || RESOURCE_POLICIES[DEFAULT_DOM_RESOURCE_POLICY];
+}
@@ -0,0 +1,321 @@
+// Confidence given to prices read from the page markup, by extraction method
+const METHOD_CONFIDENCE = {
+  'json-ld': 0.95,
+  'microdata': 0.9,
+  'selector': 0.8
+};
+
+// schema.org availability values mapped to the stock statuses the vision model reports
+const AVAILABILITY = {
+  instock: 'in_stock',
+  instoreonly: 'in_stock',
+  onlineonly: 'in_stock',
+  limitedavailability: 'limited_stock',
+  outofstock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock'
+};
+
+// Units of a price quoted per foot: vendor labels ("/ft", "per foot", "LF") and the UN/CEFACT code for foot
+const PER_FOOT_UNITS = ['ft', 'foot', 'feet', 'lf', 'lin ft', 'linear ft', 'linear foot', 'linear feet', 'fot'];
+
+// Units of items sold by length as a whole (a 100' roll of tubing), priced per foot of the roll (RO is the code for roll)
+const LENGTH_PACKAGE_UNITS = ['roll', 'coil', 'spool', 'reel', 'ro'];
+
+/**
+ * Parse a price from text such as "$1,234.56" or "$ 19 98" (cents rendered as superscript)
+ * @param {string|number} value - Price text or number
+ * @returns {number|null} Price or null if the text holds no price
+ */
+export function parsePriceText(value) {
+  if (typeof value === 'number') {
+    return isFinite(value) && value > 0 ? value : null;
+  }
+
+  // Leaf texts joined with spaces, e.g. "$ 19 . 98"
+  const text = String(value || '')
+    .replace(/\s+/g, ' ')
+    .replace(/(\d) ?\. ?(?=\d)/g, '$1.')
+    .replace(/\$ (?=\d)/g, '$')
+    .trim();
+
+  // Whole dollars and cents in separate elements, e.g. "$ 19 98"
+  const split = text.match(/^\$?\s?(\d{1,3}(?:,\d{3})*|\d+) (\d{2})$/);
+
+  if (split) {
+    return parseFloat(`${split[1].replace(/,/g, '')}.${split[2]}`);
+  }
+
+  const match = text.match(/(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?/);
+
+  if (!match) {
+    return null;
+  }
+
+  const price = parseFloat(`${match[1].replace(/,/g, '')}.${match[2] || '0'}`);
+  return price > 0 ? price : null;
+}
+
+/**
+ * Read the length in feet from a product title, e.g. "50' Coil" or "2 in. x 10 ft. Pipe". Of
+ * several dimensions in feet ("12' x 100' Poly Sheeting") the last one is the length.
+ * @param {string} title - Product title
+ * @returns {number} Length in feet or 0 if the title has none
+ */
+export function parseTotalFeet(title) {
+  const matches = Array.from(String(title || '').matchAll(/(\d+(?:\.\d+)?)\s*(?:ft\b\.?|feet\b|foot\b|')/gi));
+  return matches.length > 0 ? parseFloat(matches[matches.length - 1][1]) : 0;
+}
+
+/**
+ * Read the unit a price is quoted in from its text, e.g. "$1.99/ft" or "$89.00 per roll"
+ * @param {string} text - Price text
+ * @returns {string|null} Unit or null if the text names none
+ */
+export function parsePriceUnit(text) {
+  const match = String(text || '').match(/(?:\/|\bper\s)\s*([a-z][a-z. ]*)/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Normalize a unit of measure for comparison ("/Ft.", "per foot" and " LIN. FT " become "ft", "foot", "lin ft")
+ * @param {string} unit - Unit of measure
+ * @returns {string} Normalized unit
+ */
+function normalizeUnit(unit) {
+  return String(unit || '')
+    .toLowerCase()
+    .replace(/^\s*(?:\/|per\s)\s*/, '')
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Work out whether a price is per foot. Only the unit of measure the page prices the item in
+ * decides this: a price per foot ("$1.99/ft") is kept as it is, the price of a roll or coil
+ * is divided by the length in its title. A length in the title alone means nothing, a
+ * "25 ft. Tape Measure" or a "6 ft. Step Ladder" is sold by the piece.
+ * @param {Object} details - What the page shows
+ * @param {string} [details.productTitle] - Product title
+ * @param {string} [details.unitOfMeasure] - Unit the listed price is for (e.g. "/ft", "each", "roll")
+ * @returns {Object} Length pricing ({ perFoot, totalFeet, divisor }): divide the listed price by divisor for
+ *   the per-foot price; totalFeet is the length the listed price covers, 0 when it is not priced by length
+ */
+export function getLengthPricing({ productTitle = null, unitOfMeasure = null }) {
+  const unit = normalizeUnit(unitOfMeasure);
+
+  if (PER_FOOT_UNITS.includes(unit)) {
+    return { perFoot: true, totalFeet: 0, divisor: 1 };
+  }
+
+  const totalFeet = LENGTH_PACKAGE_UNITS.includes(unit) ? parseTotalFeet(productTitle) : 0;
+
+  return totalFeet > 0
+    ? { perFoot: true, totalFeet, divisor: totalFeet }
+    : { perFoot: false, totalFeet: 0, divisor: 1 };
+}
+
+/**
+ * Map a schema.org availability value to a stock status
+ * @param {string} availability - Availability URL or name
+ * @returns {string} Stock status
+ */
+function toStockStatus(availability) {
+  const key = String(availability || '').split('/').pop().toLowerCase();
+  return AVAILABILITY[key] || 'unknown';
+}
+
+/**
+ * Check whether a JSON-LD node has a schema.org type
+ * @param {Object} node - JSON-LD node
+ * @param {string} type - Type name
+ * @returns {boolean} Whether the node has the type
+ */
+function hasType(node, type) {
+  const types = Array.isArray(node['@type']) ? node['@type'] : [node['@type']];
+  return types.some(value => String(value || '').toLowerCase() === type.toLowerCase());
+}
+
+/**
+ * Collect every JSON-LD node, following @graph and nested arrays
+ * @param {Array<string>} blocks - Contents of the page's ld+json script tags
+ * @returns {Array<Object>} JSON-LD nodes
+ */
+function collectJsonLdNodes(blocks) {
+  const nodes = [];
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+
+      if (value['@graph']) {
+        visit(value['@graph']);
+      }
+    }
+  };
+
+  for (const block of blocks) {
+    try {
+      visit(JSON.parse(block));
+    } catch (error) {
+      // Some sites ship broken JSON-LD, skip it and try the other methods
+    }
+  }
+
+  return nodes;
+}
+
+/**
+ * Find the price of a Product in JSON-LD
+ * @param {Array<string>} blocks - Contents of the page's ld+json script tags
+ * @returns {Object|null} Raw price details or null if no product offer was found
+ */
+function readJsonLd(blocks) {
+  const products = collectJsonLdNodes(blocks).filter(node => hasType(node, 'Product'));
+
+  for (const product of products) {
+    const offers = Array.isArray(product.offers) ? product.offers : [product.offers];
+
+    for (const offer of offers.filter(Boolean)) {
+      const price = parsePriceText(
+        offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price
+      );
+
+      if (price !== null) {
+        const specification = offer.priceSpecification || {};
+
+        return {
+          price,
+          currency: offer.priceCurrency || specification.priceCurrency || null,
+          unitOfMeasure: specification.unitText || specification.unitCode ||
+            specification.referenceQuantity?.unitText || specification.referenceQuantity?.unitCode || null,
+          availability: offer.availability || null,
+          productTitle: product.name || null,
+          productSku: product.sku || product.mpn || product.model || null
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Turn raw price details into an extraction with the same shape the vision model returns
+ * @param {Object} details - Raw price details (price, currency, unitOfMeasure, availability, productTitle, productSku)
+ * @param {string} method - Extraction method
+ * @returns {Object} Extraction
+ */
+function toExtraction(details, method) {
+  // Items sold by length are priced per foot, like the vision model does
+  const { perFoot, totalFeet, divisor } = getLengthPricing(details);
+  const perUnit = (value) => divisor > 1 ? Math.round((value / divisor) * 100) / 100 : value;
+  const price = perUnit(details.price);
+
+  return {
+    price,
+    currency: details.currency ? String(details.currency).toUpperCase() : 'USD',
+    unitOfMeasure: perFoot ? 'ft' : (details.unitOfMeasure ? String(details.unitOfMeasure).trim() : null),
+    packQuantity: 1,
+    perFoot,
+    totalFeet,
+    stockStatus: toStockStatus(details.availability),
+    productTitle: details.productTitle ? String(details.productTitle).trim() : null,
+    productSku: details.productSku ? String(details.productSku).trim() : null,
+    confidence: METHOD_CONFIDENCE[method],
+    method,
+    priceOptions: details.priceOptions
+      ? Object.fromEntries(Object.entries(details.priceOptions).map(([option, value]) => [option, perUnit(value)]))
+      : null,
+    priceOption: details.priceOption || null
+  };
+}
+
+/**
+ * Extract a price from the structured data and vendor selector texts collected from a page.
+ * Tries JSON-LD first, then schema.org microdata / meta tags, then the vendor's CSS selectors.
+ * @param {Object} pageData - Data collected from the page
+ * @param {Array<string>} pageData.jsonLd - Contents of the ld+json script tags
+ * @param {Object} pageData.microdata - itemprop/meta values (price, currency, unit, availability, title, sku)
+ * @param {Object} pageData.selectors - Texts matched by the vendor's selectors (price, unit, title, sku)
+ * @param {string} pageData.pageTitle - Fallback product title (og:title or the first h1)
+ * @param {Object} [pageData.priceOptions] - Texts of alternative prices keyed by option (e.g. inStore, delivery)
+ * @param {string} [pageData.preferredPriceOption] - Option used as the price when the page shows it
+ * @param {boolean} [pageData.requirePreferredPriceOption] - Return null when the preferred option is missing
+ * @returns {Object|null} Extraction with a method of 'json-ld', 'microdata' or 'selector', or null.
+ *   priceOptions holds every alternative price found and priceOption the one used as the price.
+ */
+export function extractStructuredPrice(pageData) {
+  const {
+    jsonLd = [],
+    microdata = {},
+    selectors = {},
+    pageTitle = null,
+    priceOptions: optionTexts = {},
+    preferredPriceOption = null,
+    requirePreferredPriceOption = false
+  } = pageData;
+
+  const priceOptions = {};
+
+  for (const [option, text] of Object.entries(optionTexts || {})) {
+    const optionPrice = parsePriceText(text);
+
+    if (optionPrice !== null) {
+      priceOptions[option] = optionPrice;
+    }
+  }
+
+  const hasOptions = Object.keys(priceOptions).length > 0;
+  const preferredPrice = preferredPriceOption ? priceOptions[preferredPriceOption] ?? null : null;
+
+  // Any other price on the page would be the wrong one (e.g. list price instead of contract price)
+  if (requirePreferredPriceOption && preferredPrice === null) {
+    return null;
+  }
+
+  // The preferred option (e.g. the local store price) wins over the page's headline price
+  const withOptions = (details) => ({
+    ...details,
+    price: preferredPrice ?? details.price,
+    priceOptions: hasOptions ? priceOptions : null,
+    priceOption: preferredPrice !== null ? preferredPriceOption : null
+  });
+
+  const fromJsonLd = readJsonLd(jsonLd);
+
+  if (fromJsonLd) {
+    return toExtraction(withOptions({ ...fromJsonLd, productTitle: fromJsonLd.productTitle || pageTitle }), 'json-ld');
+  }
+
+  const microdataPrice = parsePriceText(microdata.price);
+
+  if (microdataPrice !== null) {
+    return toExtraction(withOptions({
+      price: microdataPrice,
+      currency: microdata.currency,
+      unitOfMeasure: microdata.unit || parsePriceUnit(microdata.price),
+      availability: microdata.availability,
+      productTitle: microdata.title || pageTitle,
+      productSku: microdata.sku
+    }), 'microdata');
+  }
+
+  const selectorPrice = parsePriceText(selectors.price) ?? preferredPrice;
+
+  if (selectorPrice !== null) {
+    return toExtraction(withOptions({
+      price: selectorPrice,
+      currency: null,
+      unitOfMeasure: selectors.unit || parsePriceUnit(selectors.price),
+      availability: null,
+      productTitle: selectors.title || pageTitle,
+      productSku: selectors.sku
+    }), 'selector');
+  }
+
+  return null;
+}
@@ -0,0 +1,46 @@
+import { VendorAdapter, LOGOUT_LINK_SELECTORS } from './vendor-adapter.js';
+
+// Account prices are only shown to logged-in accounts
+const CONTRACT_PRICE_SELECTORS = ['.product-price__your-price', '[data-testid="your-price"]', '.customer-price'];
+
+/**
+ * Ferguson adapter. Our contract prices only show once the account is logged
+ * in; the page keeps showing the list price next to them.
+ */
+class FergusonAdapter extends VendorAdapter {
+  constructor() {
+    super({
+      key: 'ferguson',
+      name: 'Ferguson',
+      domains: ['ferguson.com'],
+      requiresLogin: true,
+      loginUrl: 'https://www.ferguson.com/login',
+      loginReadySelector: 'input#username',
+      loginWait: 5000,
+      sessionValidityHours: 12,
+      loggedInSelectors: [...LOGOUT_LINK_SELECTORS, ...CONTRACT_PRICE_SELECTORS],
+      loggedOutSelectors: ['input#username'],
+      credentialsEnv: { username: 'FERGUSON_EMAIL', password: 'FERGUSON_PASSWORD' },
+      priceSelectors: {
+        price: ['.product-price__price', '.pdp-price'],
+        title: ['h1.product-title', 'h1'],
+        sku: ['.product-sku', '[data-testid="manufacturer-part-number"]']
+      },
+      priceOptionSelectors: {
+        contract: CONTRACT_PRICE_SELECTORS,
+        list: ['.product-price__list-price', '[data-testid="list-price"]', '.list-price']
+      },
+      preferredPriceOption: 'contract',
+      requirePreferredPriceOption: true,
+      visionHint: 'Ferguson shows our account\'s contract price (labelled "Your Price") next to the list price. Extract the contract price, never the list price.'
+    });
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    await scraper.typeHumanLike(page, 'input#username', credentials.username);
+    await scraper.typeHumanLike(page, 'input#password', credentials.password);
+    await scraper.randomDelayBeforeClick(page, 'button[type="submit"]');
+  }
+}
+
+export default new FergusonAdapter();
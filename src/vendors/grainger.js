@@ -0,0 +1,46 @@
+import { VendorAdapter, LOGOUT_LINK_SELECTORS } from './vendor-adapter.js';
+
+// Account prices are only shown to logged-in accounts
+const CONTRACT_PRICE_SELECTORS = ['[data-testid="your-price"]', '.pricing__your-price', '.customer-price'];
+
+/**
+ * Grainger adapter. Account pricing only shows once the account is logged in;
+ * the page keeps showing the list price next to it.
+ */
+class GraingerAdapter extends VendorAdapter {
+  constructor() {
+    super({
+      key: 'grainger',
+      name: 'Grainger',
+      domains: ['grainger.com'],
+      requiresLogin: true,
+      loginUrl: 'https://www.grainger.com/myaccount/signin',
+      loginReadySelector: 'input#username',
+      loginWait: 5000,
+      sessionValidityHours: 12,
+      loggedInSelectors: [...LOGOUT_LINK_SELECTORS, ...CONTRACT_PRICE_SELECTORS],
+      loggedOutSelectors: ['input#username'],
+      credentialsEnv: { username: 'GRAINGER_EMAIL', password: 'GRAINGER_PASSWORD' },
+      priceSelectors: {
+        price: ['[data-testid="pricing-component"]', '.pricing__price'],
+        title: ['h1.product-detail__heading', 'h1'],
+        sku: ['[data-testid="product-mfr-model-number"]', '.product-detail__model-number']
+      },
+      priceOptionSelectors: {
+        contract: CONTRACT_PRICE_SELECTORS,
+        list: ['[data-testid="list-price"]', '.pricing__list-price', '.list-price']
+      },
+      preferredPriceOption: 'contract',
+      requirePreferredPriceOption: true,
+      visionHint: 'Grainger shows our account price (labelled "Your Price") next to the list price. Extract the account price, never the list price.'
+    });
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    await scraper.typeHumanLike(page, 'input#username', credentials.username);
+    await scraper.typeHumanLike(page, 'input#password', credentials.password);
+    await scraper.randomDelayBeforeClick(page, 'button[type="submit"]');
+  }
+}
+
+export default new GraingerAdapter();
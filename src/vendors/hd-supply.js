@@ -0,0 +1,33 @@
+import { VendorAdapter } from './vendor-adapter.js';
+
+/**
+ * HD Supply adapter (ebarnett.com). Product pages can be viewed without logging in.
+ */
+class HDSupplyAdapter extends VendorAdapter {
+  constructor() {
+    super({
+      key: 'hdsupply',
+      name: 'HD Supply',
+      domains: ['ebarnett.com'],
+      requiresLogin: false,
+      // The login form is on the home page
+      loginUrl: 'https://www.ebarnett.com',
+      sessionValidityHours: 8,
+      loggedOutSelectors: ['input#UserName'],
+      credentialsEnv: { username: 'HDSUPPLY_EMAIL', password: 'HDSUPPLY_PASSWORD' },
+      priceSelectors: {
+        price: ['.product-price', '.price'],
+        title: ['h1.product-title', 'h1'],
+        sku: ['.product-sku', '.item-number']
+      }
+    });
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    await scraper.typeHumanLike(page, 'input#UserName', credentials.username);
+    await scraper.typeHumanLike(page, 'input#Password', credentials.password);
+    await scraper.randomDelayBeforeClick(page, 'input#login-box-submit-buttom');
+  }
+}
+
+export default new HDSupplyAdapter();
@@ -0,0 +1,61 @@
+import { VendorAdapter, ZIP_CODE_SELECTORS } from './vendor-adapter.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Home Depot adapter. Prices are public, logging in picks up account pricing.
+ */
+class HomeDepotAdapter extends VendorAdapter {
+  constructor() {
+    super({
+      key: 'homedepot',
+      name: 'Home Depot',
+      domains: ['homedepot.com'],
+      requiresLogin: false,
+      loginUrl: 'https://www.homedepot.com/auth/view/signin',
+      loginWait: 5000,
+      // Home Depot's bot protection blocks bursts, keep well under the default pace
+      requestsPerMinute: 3,
+      loggedOutSelectors: ['#username', '#password-input-field'],
+      credentialsEnv: { username: 'HOMEDEPOT_EMAIL', password: 'HOMEDEPOT_PASSWORD' },
+      priceSelectors: {
+        price: ['.price-format__main-price', '[data-testid="price-format"]'],
+        title: ['h1.product-details__title', 'h1'],
+        sku: ['.product-info-bar__detail--model', '[data-testid="model-number"]']
+      },
+      buyBoxSelectors: ['[data-component^="BuyBox"]', '.buybox', '#buybox']
+    });
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    // Email first, then Home Depot asks for the password on a second step
+    await scraper.typeHumanLike(page, '#username', credentials.username);
+    await scraper.randomDelayBeforeClick(page, '#sign-in-button');
+
+    // Wait for the "No Thanks" button and click it if it appears
+    await page.waitForTimeout(1000);
+    try {
+      const noThanksButton = await page.$x("//button[contains(text(), 'No Thanks')]");
+      if (noThanksButton.length > 0) {
+        logger.info('Clicking "No Thanks" button');
+
+        // Random delay before clicking No Thanks
+        const clickDelay = Math.floor(Math.random() * 700) + 500;
+        await page.waitForTimeout(clickDelay);
+
+        await noThanksButton[0].click();
+        await page.waitForTimeout(1000);
+      }
+    } catch (error) {
+      logger.warn(`No "No Thanks" button found: ${error.message}`);
+    }
+
+    await scraper.typeHumanLike(page, '#password-input-field', credentials.password);
+    await scraper.randomDelayBeforeClick(page, '#sign-in-button');
+  }
+
+  async handlePopups(page) {
+    await this.clickFirst(page, ZIP_CODE_SELECTORS, 'location/zip code button');
+  }
+}
+
+export default new HomeDepotAdapter();
@@ -0,0 +1,79 @@
+import { VendorAdapter, ZIP_CODE_SELECTORS } from './vendor-adapter.js';
+import { logger } from '../utils/logger.js';
+
+// Price options Lowe's shows for one product
+const PRICE_OPTIONS = ['inStore', 'delivery'];
+
+/**
+ * Lowe's adapter. Prices depend on the selected store, so the store (or zip
+ * code) is set before the first product page loads. Pro accounts log in through
+ * the regular sign-in page and get their pro pricing on product pages.
+ */
+class LowesAdapter extends VendorAdapter {
+  constructor() {
+    const preferredPriceOption = process.env.LOWES_PRICE_OPTION || 'inStore';
+
+    if (!PRICE_OPTIONS.includes(preferredPriceOption)) {
+      logger.warn(`Unknown LOWES_PRICE_OPTION "${preferredPriceOption}", using inStore`);
+    }
+
+    super({
+      key: 'lowes',
+      name: "Lowe's",
+      domains: ['lowes.com'],
+      requiresLogin: false,
+      loginUrl: 'https://www.lowes.com/u/login',
+      loginReadySelector: '#email',
+      loginWait: 5000,
+      loggedOutSelectors: ['#email', '#user-password'],
+      credentialsEnv: { username: 'LOWES_EMAIL', password: 'LOWES_PASSWORD' },
+      priceSelectors: {
+        price: ['[data-testid="main-price"]', '.main-price', '.final-price'],
+        title: ['h1.styles__H1-sc', 'h1'],
+        sku: ['[data-testid="model-number"]', '.model-number']
+      },
+      buyBoxSelectors: ['[data-testid="buy-box"]', '.buy-box', '.pd-right'],
+      priceOptionSelectors: {
+        inStore: ['[data-testid="pickup-price"]', '[data-fulfillment="pickup"] .price', '.pickup-price'],
+        delivery: ['[data-testid="delivery-price"]', '[data-fulfillment="delivery"] .price', '.delivery-price']
+      },
+      preferredPriceOption: PRICE_OPTIONS.includes(preferredPriceOption) ? preferredPriceOption : 'inStore'
+    });
+
+    this.storeId = process.env.LOWES_STORE_ID || null;
+    this.zipCode = process.env.LOWES_ZIP || null;
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    await scraper.typeHumanLike(page, '#email', credentials.username);
+    await scraper.typeHumanLike(page, '#user-password', credentials.password);
+    await scraper.randomDelayBeforeClick(page, 'button[type="submit"]');
+  }
+
+  async prepare(page) {
+    if (!this.storeId && !this.zipCode) {
+      logger.warn("LOWES_STORE_ID and LOWES_ZIP are not set, Lowe's prices will be for the store it picks");
+      return;
+    }
+
+    // Lowe's keeps the selected store and delivery zip code in cookies
+    const cookies = [];
+
+    if (this.storeId) {
+      cookies.push({ name: 'sn', value: String(this.storeId), domain: '.lowes.com', path: '/' });
+    }
+
+    if (this.zipCode) {
+      cookies.push({ name: 'zipcode', value: String(this.zipCode), domain: '.lowes.com', path: '/' });
+    }
+
+    await page.setCookie(...cookies);
+    logger.info(`Selected Lowe's store ${this.storeId || 'nearest'} (zip ${this.zipCode || 'unknown'})`);
+  }
+
+  async handlePopups(page) {
+    await this.clickFirst(page, ZIP_CODE_SELECTORS, 'location/zip code button');
+  }
+}
+
+export default new LowesAdapter();
@@ -0,0 +1,94 @@
+import { logger } from '../utils/logger.js';
+import winSupply from './winsupply.js';
+import homeDepot from './home-depot.js';
+import supplyHouse from './supplyhouse.js';
+import hdSupply from './hd-supply.js';
+import lowes from './lowes.js';
+import ferguson from './ferguson.js';
+import grainger from './grainger.js';
+
+/**
+ * Registry of vendor adapters. The scraper and pricing engine look vendors up
+ * here instead of hard-coding them, so adding a supplier means writing an
+ * adapter (see vendor-adapter.js) and registering it below.
+ */
+class VendorRegistry {
+  constructor() {
+    this.adapters = [];
+  }
+
+  /**
+   * Register a vendor adapter
+   * @param {VendorAdapter} adapter - Adapter to register
+   * @returns {VendorRegistry} The registry, for chaining
+   */
+  register(adapter) {
+    if (this.get(adapter.key)) {
+      throw new Error(`Vendor adapter ${adapter.key} is already registered`);
+    }
+
+    this.adapters.push(adapter);
+    logger.debug(`Registered vendor adapter ${adapter.key}`);
+    return this;
+  }
+
+  /**
+   * Get all registered adapters, in registration order
+   * @returns {Array<VendorAdapter>} Adapters
+   */
+  getAll() {
+    return [...this.adapters];
+  }
+
+  /**
+   * Get an adapter by key
+   * @param {string} key - Adapter key
+   * @returns {VendorAdapter|null} Adapter or null if not registered
+   */
+  get(key) {
+    return this.adapters.find(adapter => adapter.key === key) || null;
+  }
+
+  /**
+   * Find the adapter for a hostname
+   * @param {string} hostname - Hostname (e.g. www.homedepot.com)
+   * @returns {VendorAdapter|null} Adapter or null if no vendor matches
+   */
+  findByDomain(hostname) {
+    return this.adapters.find(adapter => adapter.matches(hostname)) || null;
+  }
+
+  /**
+   * Find the adapter for a URL
+   * @param {string} url - Product page URL
+   * @returns {VendorAdapter|null} Adapter or null if no vendor matches
+   */
+  findByUrl(url) {
+    try {
+      return this.findByDomain(new URL(url).hostname);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the adapters of vendors the scraper should log in to
+   * @returns {Array<VendorAdapter>} Adapters with a login routine
+   */
+  getLoginAdapters() {
+    return this.adapters.filter(adapter => adapter.hasLogin());
+  }
+}
+
+const registry = new VendorRegistry();
+
+registry
+  .register(winSupply)
+  .register(homeDepot)
+  .register(supplyHouse)
+  .register(hdSupply)
+  .register(lowes)
+  .register(ferguson)
+  .register(grainger);
+
+export default registry;
@@ -0,0 +1,31 @@
+import { VendorAdapter } from './vendor-adapter.js';
+
+/**
+ * SupplyHouse.com adapter. Prices are public, logging in picks up account pricing.
+ */
+class SupplyHouseAdapter extends VendorAdapter {
+  constructor() {
+    super({
+      key: 'supplyhouse',
+      name: 'SupplyHouse.com',
+      domains: ['supplyhouse.com'],
+      requiresLogin: false,
+      loginUrl: 'https://www.supplyhouse.com/sh/control/login',
+      loggedOutSelectors: ['input#username'],
+      credentialsEnv: { username: 'SUPPLYHOUSE_EMAIL', password: 'SUPPLYHOUSE_PASSWORD' },
+      priceSelectors: {
+        price: ['[data-testid="product-price"]', '.product-price'],
+        title: ['h1'],
+        sku: ['[data-testid="product-mpn"]', '.product-mpn']
+      }
+    });
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    await scraper.typeHumanLike(page, 'input#username', credentials.username);
+    await scraper.typeHumanLike(page, 'input#password', credentials.password);
+    await scraper.randomDelayBeforeClick(page, 'button.btn.btn-lg.btn-block.button-blue.bold.upper');
+  }
+}
+
+export default new SupplyHouseAdapter();
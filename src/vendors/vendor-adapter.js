@@ -0,0 +1,264 @@
+import { logger } from '../utils/logger.js';
+import credentialStore from '../services/credential-store.js';
+import { DEFAULT_DOM_RESOURCE_POLICY, DEFAULT_VISION_RESOURCE_POLICY } from '../utils/resource-policy.js';
+
+// Buttons that dismiss store/zip code prompts on big-box retailer sites
+export const ZIP_CODE_SELECTORS = [
+  'button[aria-label="Continue"]',
+  'button.location-continue',
+  'button.zip-code-continue',
+  'button:not([aria-hidden="true"]):not([tabindex="-1"]):not([style*="display: none"]):not([style*="visibility: hidden"]):not([style*="opacity: 0"]):not([disabled])[id*="continue"]',
+  'button:not([aria-hidden="true"]):not([tabindex="-1"]):not([style*="display: none"]):not([style*="visibility: hidden"]):not([style*="opacity: 0"]):not([disabled])[class*="continue"]'
+];
+
+// Sign-out links only shown to logged-in accounts
+export const LOGOUT_LINK_SELECTORS = [
+  'a[href*="logout" i]',
+  'a[href*="signout" i]',
+  'a[href*="sign-out" i]'
+];
+
+// Inputs vendors show when they ask for an emailed or SMS one-time code
+export const OTP_INPUT_SELECTORS = [
+  'input[autocomplete="one-time-code"]',
+  'input[name*="otp" i]',
+  'input[id*="otp" i]',
+  'input[name*="verificationcode" i]',
+  'input[id*="verificationcode" i]',
+  'input[name*="passcode" i]'
+];
+
+/**
+ * Base class for vendor adapters. An adapter describes everything the scraper
+ * needs to know about one supplier's website: which domains belong to it,
+ * whether and how to log in, vendor-specific popups and where the price,
+ * title and SKU live on a product page. Register new adapters in registry.js.
+ */
+export class VendorAdapter {
+  /**
+   * @param {Object} config - Adapter configuration
+   * @param {string} config.key - Stable identifier used in login results and session names
+   * @param {string} config.name - Display name
+   * @param {Array<string>} config.domains - Domains served by this vendor (subdomains match too)
+   * @param {boolean} [config.requiresLogin=false] - Whether product pages can only be scraped after logging in
+   * @param {string} [config.loginUrl] - Login page URL; vendors without one are never logged in to
+   * @param {string} [config.loginReadySelector] - Element that shows the login page has loaded
+   * @param {number} [config.loginWait=2000] - Milliseconds to wait after submitting the login form
+   * @param {number} [config.sessionValidityHours=24] - How long a saved login session is reused before logging in again
+   * @param {string} [config.sessionCheckUrl] - Page opened to check a restored session (defaults to the login page)
+   * @param {Array<string>} [config.loggedInSelectors] - Elements only shown when logged in (account menu, account prices)
+   * @param {Array<string>} [config.loggedOutSelectors] - Elements only shown when logged out (the login form)
+   * @param {Array<string>} [config.otpInputSelectors] - Inputs for a one-time code challenge after the login form
+   * @param {string} [config.otpSubmitSelector] - Button that submits the one-time code
+   * @param {Object} [config.credentialsEnv] - Environment variable names ({ username, password }) holding the credentials
+   *   when the vendor has no account in the encrypted credential store
+   * @param {Object} [config.priceSelectors] - CSS selectors ({ price, unit, title, sku }) tried when a page has no structured
+   *   data; unit is the unit of measure shown next to the price (e.g. "/ft"), which decides whether the price is per foot
+   * @param {Object} [config.priceOptionSelectors] - CSS selectors for alternative prices on the same page, keyed by
+   *   option name (e.g. { inStore: [...], delivery: [...] })
+   * @param {string} [config.preferredPriceOption] - Price option recorded as the item source price when the page shows it
+   * @param {boolean} [config.requirePreferredPriceOption=false] - Ignore the page's other prices when the preferred
+   *   option is missing (e.g. never fall back to a list price) and let the vision model read the page instead
+   * @param {string} [config.visionHint] - Extra instruction for the vision model on this vendor's pages
+   * @param {Array<string>} [config.buyBoxSelectors] - Price/buy box area screenshotted for the vision model
+   *   (the price selectors are tried after these)
+   * @param {string} [config.domResourcePolicy='markup'] - Resources blocked while the price is read from the markup
+   *   (see src/utils/resource-policy.js)
+   * @param {string} [config.visionResourcePolicy='styled'] - Resources blocked on pages screenshotted for the vision model
+   * @param {number} [config.requestsPerMinute] - Page loads per minute (defaults to SCRAPER_REQUESTS_PER_MINUTE)
+   * @param {number} [config.dailyRequestBudget] - Page loads per day (defaults to SCRAPER_DAILY_REQUEST_BUDGET)
+   * @param {Array<string>} [config.botChallengeSelectors] - Vendor-specific elements of bot challenge or block pages
+   */
+  constructor(config) {
+    this.key = config.key;
+    this.name = config.name;
+    this.domains = config.domains;
+    this.requiresLogin = config.requiresLogin || false;
+    this.loginUrl = config.loginUrl || null;
+    this.loginReadySelector = config.loginReadySelector || null;
+    this.loginWait = config.loginWait || 2000;
+    this.sessionValidityHours = config.sessionValidityHours || 24;
+    this.sessionCheckUrl = config.sessionCheckUrl || config.loginUrl || null;
+    this.loggedInSelectors = config.loggedInSelectors || LOGOUT_LINK_SELECTORS;
+    this.loggedOutSelectors = config.loggedOutSelectors || [];
+    this.otpInputSelectors = config.otpInputSelectors || OTP_INPUT_SELECTORS;
+    this.otpSubmitSelector = config.otpSubmitSelector || 'button[type="submit"]';
+    this.credentialsEnv = config.credentialsEnv || null;
+    this.priceSelectors = config.priceSelectors || {};
+    this.priceOptionSelectors = config.priceOptionSelectors || {};
+    this.preferredPriceOption = config.preferredPriceOption || null;
+    this.requirePreferredPriceOption = config.requirePreferredPriceOption || false;
+    this.visionHint = config.visionHint || null;
+    this.buyBoxSelectors = config.buyBoxSelectors || [];
+    this.domResourcePolicy = config.domResourcePolicy || DEFAULT_DOM_RESOURCE_POLICY;
+    this.visionResourcePolicy = config.visionResourcePolicy || DEFAULT_VISION_RESOURCE_POLICY;
+    this.requestsPerMinute = config.requestsPerMinute || null;
+    this.dailyRequestBudget = config.dailyRequestBudget || null;
+    this.botChallengeSelectors = config.botChallengeSelectors || [];
+  }
+
+  /**
+   * Check whether a hostname belongs to this vendor
+   * @param {string} hostname - Hostname (e.g. www.homedepot.com)
+   * @returns {boolean} Whether the hostname matches
+   */
+  matches(hostname) {
+    return this.domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Whether this vendor has a login routine
+   * @returns {boolean} Whether the scraper should log in to this vendor
+   */
+  hasLogin() {
+    return !!this.loginUrl;
+  }
+
+  /**
+   * Get the credentials of a vendor account from the encrypted credential store,
+   * falling back to the environment variables
+   * @param {string} [accountId] - Account ID (defaults to the vendor's default account)
+   * @returns {Promise<Object|null>} Credentials ({ accountId, username, password }) or null if they are not configured
+   */
+  async getCredentials(accountId = null) {
+    if (credentialStore.isUnlockable()) {
+      try {
+        const credentials = await credentialStore.getCredentials(this.key, accountId);
+
+        if (credentials) {
+          return credentials;
+        }
+      } catch (error) {
+        logger.error(`Error reading ${this.name} credentials from the credential store: ${error.message}`);
+      }
+    }
+
+    if (!this.credentialsEnv) {
+      return null;
+    }
+
+    const username = process.env[this.credentialsEnv.username];
+    const password = process.env[this.credentialsEnv.password];
+
+    return username && password ? { accountId: 'env', username, password } : null;
+  }
+
+  /**
+   * Fill in and submit the login form. The scraper has already opened the login page.
+   * @param {Page} page - Puppeteer page object
+   * @param {Object} credentials - Credentials ({ username, password })
+   * @param {Object} scraper - Scraper service, for its human-like typing and clicking helpers
+   * @returns {Promise<void>}
+   */
+  async submitLogin(page, credentials, scraper) {
+    throw new Error(`${this.name} adapter does not implement submitLogin`);
+  }
+
+  /**
+   * Find the one-time code input if the vendor asks for one after the login form
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<string|null>} Selector of the code input or null if there is no challenge
+   */
+  async detectOtpChallenge(page) {
+    for (const selector of this.otpInputSelectors) {
+      if (await page.$(selector) !== null) {
+        return selector;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Enter a one-time code and submit it
+   * @param {Page} page - Puppeteer page object
+   * @param {string} inputSelector - Selector returned by detectOtpChallenge
+   * @param {string} code - One-time code
+   * @param {Object} scraper - Scraper service, for its human-like typing and clicking helpers
+   * @returns {Promise<void>}
+   */
+  async submitOtp(page, inputSelector, code, scraper) {
+    await scraper.typeHumanLike(page, inputSelector, code);
+    await scraper.randomDelayBeforeClick(page, this.otpSubmitSelector);
+  }
+
+  /**
+   * Check whether a page shows a logged-in state: an element only logged-in
+   * accounts see, no login form (for vendors with loggedOutSelectors), or else
+   * having left the login page
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<boolean>} Whether the page shows a logged-in state
+   */
+  async isLoggedIn(page) {
+    const state = await page.evaluate((loggedInSelectors, loggedOutSelectors) => {
+      if (loggedInSelectors.some(selector => document.querySelector(selector))) {
+        return 'in';
+      }
+
+      if (loggedOutSelectors.length > 0) {
+        return loggedOutSelectors.some(selector => document.querySelector(selector)) ? 'out' : 'in';
+      }
+
+      return null;
+    }, this.loggedInSelectors, this.loggedOutSelectors);
+
+    if (state) {
+      return state === 'in';
+    }
+
+    // Compare paths exactly, every URL's path includes a login page at "/"
+    return new URL(page.url()).pathname !== new URL(this.loginUrl).pathname;
+  }
+
+  /**
+   * Probe whether the browser is logged in, e.g. after restoring a saved session
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<boolean>} Whether the vendor shows a logged-in state
+   */
+  async checkSession(page) {
+    await page.goto(this.sessionCheckUrl, {
+      waitUntil: 'networkidle2',
+      timeout: 60000
+    });
+
+    return this.isLoggedIn(page);
+  }
+
+  /**
+   * Prepare the browser for this vendor before its first product page is loaded
+   * (e.g. select a store). Runs once per browser session.
+   * @param {Page} page - Puppeteer page object, not navigated yet
+   * @returns {Promise<void>}
+   */
+  async prepare(page) {}
+
+  /**
+   * Click the first of a list of selectors that is on the page
+   * @param {Page} page - Puppeteer page object
+   * @param {Array<string>} selectors - CSS selectors to try in order
+   * @param {string} description - What is being clicked, for the log
+   * @returns {Promise<boolean>} Whether something was clicked
+   */
+  async clickFirst(page, selectors, description) {
+    for (const selector of selectors) {
+      if (await page.$(selector) !== null) {
+        logger.info(`Clicking ${description}: ${selector}`);
+        await page.click(selector).catch(() => {});
+        await page.waitForTimeout(1000);
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Dismiss vendor-specific popups on a product page. Common cookie and
+   * newsletter popups are handled by the scraper for every vendor.
+   * @param {Page} page - Puppeteer page object
+   * @returns {Promise<void>}
+   */
+  async handlePopups(page) {}
+}
+
+export default VendorAdapter;
@@ -0,0 +1,34 @@
+import { VendorAdapter } from './vendor-adapter.js';
+
+/**
+ * WinSupply adapter. Product pages only show prices to logged-in accounts.
+ */
+class WinSupplyAdapter extends VendorAdapter {
+  constructor() {
+    super({
+      key: 'winsupply',
+      name: 'WinSupply',
+      domains: ['winsupplyinc.com'],
+      requiresLogin: true,
+      loginUrl: 'https://www.winsupplyinc.com/account/login',
+      loginReadySelector: '#email_field',
+      loginWait: 5000,
+      sessionValidityHours: 12,
+      loggedOutSelectors: ['#email_field'],
+      credentialsEnv: { username: 'WINSUPPLY_EMAIL', password: 'WINSUPPLY_PASSWORD' },
+      priceSelectors: {
+        price: ['.product-price .price', '.product-price', '[itemprop="price"]'],
+        title: ['h1.product-name', 'h1'],
+        sku: ['.product-sku', '.manufacturer-part-number']
+      }
+    });
+  }
+
+  async submitLogin(page, credentials, scraper) {
+    await scraper.typeHumanLike(page, '#email_field', credentials.username);
+    await scraper.typeHumanLike(page, '#si_password', credentials.password);
+    await scraper.randomDelayBeforeClick(page, '.c-button--sign-in.win-btn.win-btn-secondary');
+  }
+}
+
+export default new WinSupplyAdapter();
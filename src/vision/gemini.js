@@ -0,0 +1,161 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { VisionProvider, normalizeExtraction, applyLengthPricing } from './vision-provider.js';
+
+// Load environment variables
+dotenv.config();
+
+// Model used unless GEMINI_MODEL names another
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Parse the JSON object out of a model response
+ * @param {string} text - Response text
+ * @returns {Object|null} Parsed object or null if the response holds no valid JSON
+ */
+function parseJsonResponse(text) {
+  // The model sometimes wraps the JSON in a markdown code fence
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+
+  if (start === -1 || end <= start) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Gemini vision model. Needs GEMINI_API_KEY; GEMINI_MODEL picks the model.
+ */
+class GeminiProvider extends VisionProvider {
+  constructor() {
+    super({ key: 'gemini', name: 'Gemini' });
+    this.apiKey = process.env.GEMINI_API_KEY;
+    this.modelName = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+    this.model = null;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Get the model client, created on first use
+   * @returns {GenerativeModel} Gemini model
+   */
+  getModel() {
+    if (!this.model) {
+      this.model = new GoogleGenerativeAI(this.apiKey).getGenerativeModel({ model: this.modelName });
+    }
+
+    return this.model;
+  }
+
+  /**
+   * Extract price details from a screenshot; the product title screenshot is sent along as a second image
+   * (see VisionProvider.extract)
+   */
+  async extract(screenshotPath, productName, options = {}) {
+    logger.info(`Extracting price from screenshot for ${productName} with ${this.modelName}`);
+    
+    // Read the image files
+    const imageData = await fs.promises.readFile(screenshotPath);
+    const base64Image = imageData.toString('base64');
+    const titleImageData = options.titleScreenshotPath
+      ? await fs.promises.readFile(options.titleScreenshotPath).catch(() => null)
+      : null;
+    
+    // Prepare the prompt
+    const prompt = `
+      Look at this product page screenshot and extract the current price of the product.
+      ${titleImageData
+        ? 'The first image shows the price area of the page, the second image the product title.'
+        : ''}
+      Product name: ${productName}
+      ${options.hint ? `\n        VENDOR NOTE: ${options.hint}\n` : ''}
+      INSTRUCTIONS:
+      1. Find the most prominent price displayed for this product.
+      2. If there are multiple prices (e.g., regular and sale price), choose the CURRENT selling price (usually the sale price or the price in larger font).
+      3. Ignore shipping costs, taxes, or any additional fees.
+      4. Be aware that some websites (especially WinSupply and Home Depot) display cents as superscript. For example, "$19⁹⁸" means "$19.98".
+      5. Report the price exactly as the page lists it, with the unit it is listed for. Do NOT work out a price per foot from a length in the product title.
+         - Example: "$1.99 /ft" is price 1.99 with unit "ft"
+         - Example: "$75.00 /coil" is price 75.00 with unit "coil"; a 10ft pipe shown at "$19.90" is price 19.90 with unit "each"
+      6. If the price is shown as a range (e.g., $10-$15), extract the lower price.
+      7. Respond with ONLY a JSON object with these fields:
+         - "price": the numeric price as listed, or null if you cannot find a clear price
+         - "currency": ISO currency code of the price (e.g. "USD")
+         - "unitOfMeasure": the unit the listed price is for as shown on the page (e.g. "each", "ft", "box", "case", "roll", "coil"), or null
+         - "packQuantity": number of pieces the listed price covers (1 for single items)
+         - "stockStatus": one of "in_stock", "limited_stock", "out_of_stock" or "unknown"
+         - "productTitle": the product title exactly as shown on the page, or null (do not copy the product name above, report what the page shows)
+         - "productSku": the SKU, model number or part number shown on the page, or null
+         - "confidence": a number from 0 to 1 for how sure you are that "price" is the correct current price of this product
+      
+      EXAMPLES:
+      - If you see "$29.99" for a regular item that is in stock, return:
+        {"price": 29.99, "currency": "USD", "unitOfMeasure": "each", "packQuantity": 1, "stockStatus": "in_stock", "productTitle": "...", "productSku": "...", "confidence": 0.95}
+        
+      - If you see "$19.90" for a "10ft PVC pipe", return:
+        {"price": 19.90, "currency": "USD", "unitOfMeasure": "each", "packQuantity": 1, "stockStatus": "in_stock", "productTitle": "...", "productSku": "...", "confidence": 0.9}
+        
+      - If you see "$75.00 /coil" for a "50' copper tubing" and the page is partly covered by a popup, return:
+        {"price": 75.00, "currency": "USD", "unitOfMeasure": "coil", "packQuantity": 1, "stockStatus": "unknown", "productTitle": "...", "productSku": "...", "confidence": 0.6}
+        
+      - If the page shows no price (e.g. an error page or "sign in to see price"), return:
+        {"price": null, "currency": "USD", "unitOfMeasure": null, "packQuantity": 1, "stockStatus": "unknown", "productTitle": null, "productSku": null, "confidence": 0}
+    `;
+    
+    // Create image part
+    const imagePart = {
+      inlineData: {
+        data: base64Image,
+        mimeType: 'image/jpeg',
+      },
+    };
+    
+    const parts = [prompt, imagePart];
+    
+    if (titleImageData) {
+      parts.push({
+        inlineData: {
+          data: titleImageData.toString('base64'),
+          mimeType: 'image/jpeg',
+        },
+      });
+    }
+    
+    // Generate content
+    const result = await this.getModel().generateContent(parts);
+    const response = await result.response;
+    const text = response.text().trim();
+    
+    return this.parseResponse(text);
+  }
+
+  /**
+   * Turn the model's response into an extraction. The model reports the price as listed;
+   * items priced by length get their per-foot price here, like prices read from the markup.
+   * @param {string} text - Response text
+   * @returns {Object|null} Extraction (see normalizeExtraction) or null if the response holds no valid JSON
+   */
+  parseResponse(text) {
+    const data = parseJsonResponse(text);
+    
+    if (!data) {
+      logger.warn(`Could not parse JSON from Gemini response: ${text}`);
+      return null;
+    }
+    
+    return applyLengthPricing(normalizeExtraction(data, 'vision'));
+  }
+}
+
+export default new GeminiProvider();
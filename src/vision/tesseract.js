@@ -0,0 +1,223 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import dotenv from 'dotenv';
+import { logger } from '../utils/logger.js';
+import { parsePriceText, parsePriceUnit } from '../utils/structured-price.js';
+import { VisionProvider, normalizeExtraction, applyLengthPricing } from './vision-provider.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get the directory name
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// English language data, downloaded here on first use so later runs work offline
+const LANGUAGE = 'eng';
+const LANGUAGE_DATA_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz';
+const MODELS_DIR = path.join(__dirname, '../../models/tesseract');
+
+// OCR reads text, not which of the prices on the page is the current one, so it stays below the
+// default MIN_EXTRACTION_CONFIDENCE; a second price in the same font size halves it again
+const MAX_OCR_CONFIDENCE = 0.6;
+const AMBIGUOUS_PRICE_PENALTY = 0.5;
+
+// Lines whose prices are not the selling price
+const IGNORED_PRICE_LINES = /\b(was|reg\.?|regular|list|save|savings|off|shipping|delivery fee|per month|\/mo)\b/i;
+
+// A price, with optional cents: "$1,234.56", "$19.98", "$19. 98" (split by OCR) or "$ 19 98" (superscript cents)
+const PRICE_PATTERN = /\$\s?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\s?\d{2}|\s\d{2}\b)?/g;
+
+/**
+ * Rebuild a recognized word's text with a decimal point before superscript cents ("$19⁹⁸" is read as "$1998")
+ * @param {Object} word - Tesseract word
+ * @returns {string} Word text
+ */
+function wordText(word) {
+  if (!word.symbols || !word.symbols.some(symbol => symbol.is_superscript) || word.text.includes('.')) {
+    return word.text;
+  }
+
+  let text = '';
+  let inCents = false;
+
+  for (const symbol of word.symbols) {
+    if (symbol.is_superscript && /\d/.test(symbol.text) && !inCents) {
+      text += '.';
+      inCents = true;
+    }
+
+    text += symbol.text;
+  }
+
+  return text;
+}
+
+/**
+ * Collect the recognized lines of an OCR result
+ * @param {Object} data - Tesseract result data
+ * @returns {Array<Object>} Lines ({ text, height, confidence })
+ */
+function collectLines(data) {
+  const lines = [];
+
+  for (const block of data.blocks || []) {
+    for (const paragraph of block.paragraphs) {
+      for (const line of paragraph.lines) {
+        lines.push({
+          text: line.words.map(wordText).join(' '),
+          height: Math.max(0, ...line.words.map(word => word.bbox.y1 - word.bbox.y0)),
+          confidence: line.confidence
+        });
+      }
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Offline OCR with tesseract.js. Reads the most prominent dollar price (the one in
+ * the largest font) from the screenshot and the product title from the title
+ * screenshot. Language data is downloaded to models/tesseract on first use, or
+ * read from TESSERACT_LANG_PATH for machines without internet access. Its prices
+ * are only used when another provider reads the same price.
+ */
+class TesseractProvider extends VisionProvider {
+  constructor() {
+    super({ key: 'tesseract', name: 'Tesseract OCR', requiresAgreement: true });
+    this.library = undefined;
+  }
+
+  /**
+   * Load tesseract.js, once; it is only needed when OCR is used
+   * @returns {Promise<Object|null>} The library, or null if it is not installed
+   */
+  async loadLibrary() {
+    if (this.library === undefined) {
+      this.library = await import('tesseract.js')
+        .then(module => module.default || module)
+        .catch((error) => {
+          logger.warn(`tesseract.js is not available, OCR is disabled: ${error.message}`);
+          return null;
+        });
+    }
+
+    return this.library;
+  }
+
+  isAvailable() {
+    return this.library !== null;
+  }
+
+  /**
+   * Get the directory with the language data, downloading the data if needed. tesseract.js never
+   * settles a worker whose language data fails to load, so it only gets a directory that has it.
+   * @returns {Promise<string>} Directory holding eng.traineddata.gz
+   * @throws {Error} If TESSERACT_LANG_PATH has no language data or the download failed
+   */
+  async getLanguagePath() {
+    const directory = process.env.TESSERACT_LANG_PATH || MODELS_DIR;
+    const filePath = path.join(directory, `${LANGUAGE}.traineddata.gz`);
+
+    if (await fs.access(filePath).then(() => true).catch(() => false)) {
+      return directory;
+    }
+
+    if (process.env.TESSERACT_LANG_PATH) {
+      throw new Error(`No ${LANGUAGE}.traineddata.gz in TESSERACT_LANG_PATH (${directory})`);
+    }
+
+    logger.info(`Downloading OCR language data to ${MODELS_DIR}`);
+    const response = await axios.get(LANGUAGE_DATA_URL, { responseType: 'arraybuffer', timeout: 60000 });
+
+    // Write to a temporary file first so an interrupted download isn't mistaken for the data
+    await fs.mkdir(MODELS_DIR, { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, Buffer.from(response.data));
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    return directory;
+  }
+
+  /**
+   * Recognize the text of an image
+   * @param {Object} worker - Tesseract worker
+   * @param {string} imagePath - Path to the image
+   * @returns {Promise<Array<Object>>} Recognized lines ({ text, height, confidence })
+   */
+  async recognize(worker, imagePath) {
+    const { data } = await worker.recognize(imagePath, {}, { text: true, blocks: true });
+    return collectLines(data);
+  }
+
+  /**
+   * Extract the price from a screenshot with OCR (see VisionProvider.extract). The vendor hint
+   * is meant for a model and ignored here.
+   */
+  async extract(screenshotPath, productName, options = {}) {
+    const tesseract = await this.loadLibrary();
+
+    if (!tesseract) {
+      return null;
+    }
+
+    logger.info(`Reading price from screenshot for ${productName} with OCR`);
+
+    // Failed jobs reject their promise, the error handler only keeps the worker from throwing them again
+    const worker = await tesseract.createWorker(LANGUAGE, 1, {
+      langPath: await this.getLanguagePath(),
+      cacheMethod: 'none',
+      errorHandler: error => logger.debug(`Tesseract worker error: ${error}`)
+    });
+
+    try {
+      const lines = await this.recognize(worker, screenshotPath);
+      const titleLines = options.titleScreenshotPath
+        ? await this.recognize(worker, options.titleScreenshotPath).catch(() => [])
+        : [];
+
+      // Every dollar amount, with the font size of its line
+      const candidates = lines
+        .filter(line => !IGNORED_PRICE_LINES.test(line.text))
+        .flatMap(line => (line.text.match(PRICE_PATTERN) || [])
+          .map(match => ({
+            price: parsePriceText(match.replace(/\.\s/, '.')),
+            unitOfMeasure: parsePriceUnit(line.text.slice(line.text.indexOf(match) + match.length)),
+            height: line.height,
+            confidence: line.confidence
+          })))
+        .filter(candidate => candidate.price !== null)
+        .sort((a, b) => b.height - a.height);
+
+      const text = lines.map(line => line.text).join('\n');
+      const productTitle = titleLines.map(line => line.text).join(' ').trim() || null;
+      const stockStatus = /out of stock|sold out|unavailable/i.test(text)
+        ? 'out_of_stock'
+        : /in stock/i.test(text) ? 'in_stock' : 'unknown';
+
+      if (candidates.length === 0) {
+        return normalizeExtraction({ price: null, productTitle, stockStatus, confidence: 0 }, 'ocr');
+      }
+
+      const [best] = candidates;
+      const ambiguous = candidates.some(candidate =>
+        candidate.price !== best.price && candidate.height >= best.height * 0.9);
+      const confidence = Math.min(best.confidence / 100, MAX_OCR_CONFIDENCE) * (ambiguous ? AMBIGUOUS_PRICE_PENALTY : 1);
+
+      // Items sold by length are priced per foot, like prices read from the markup
+      return applyLengthPricing(normalizeExtraction({
+        price: best.price,
+        currency: 'USD',
+        unitOfMeasure: best.unitOfMeasure,
+        stockStatus,
+        productTitle,
+        confidence
+      }, 'ocr'));
+    } finally {
+      await worker.terminate();
+    }
+  }
+}
+
+export default new TesseractProvider();
@@ -0,0 +1,93 @@
+import { getLengthPricing } from '../utils/structured-price.js';
+
+// Stock statuses an extraction may report
+export const STOCK_STATUSES = ['in_stock', 'limited_stock', 'out_of_stock', 'unknown'];
+
+/**
+ * Normalize raw extracted fields to the extraction fields and types callers rely on
+ * @param {Object} data - Raw extraction (e.g. a parsed model response)
+ * @param {string} method - Extraction method recorded with the price (e.g. 'vision' or 'ocr')
+ * @returns {Object} Extraction ({ price, currency, unitOfMeasure, packQuantity, perFoot, totalFeet,
+ *   stockStatus, productTitle, productSku, confidence, method })
+ */
+export function normalizeExtraction(data, method) {
+  const price = data.price === null || data.price === undefined ? NaN : parseFloat(data.price);
+  const confidence = parseFloat(data.confidence);
+  const packQuantity = parseInt(data.packQuantity, 10);
+  const stockStatus = String(data.stockStatus || '').toLowerCase();
+
+  return {
+    price: isNaN(price) ? null : price,
+    currency: data.currency ? String(data.currency).toUpperCase() : 'USD',
+    unitOfMeasure: data.unitOfMeasure ? String(data.unitOfMeasure) : null,
+    packQuantity: packQuantity > 0 ? packQuantity : 1,
+    perFoot: data.perFoot === true || String(data.perFoot).toLowerCase() === 'true',
+    totalFeet: parseInt(data.totalFeet, 10) || 0,
+    stockStatus: STOCK_STATUSES.includes(stockStatus) ? stockStatus : 'unknown',
+    productTitle: data.productTitle ? String(data.productTitle) : null,
+    productSku: data.productSku ? String(data.productSku) : null,
+    confidence: isNaN(confidence) ? 0 : Math.min(Math.max(confidence, 0), 1),
+    method
+  };
+}
+
+/**
+ * Turn the listed price of an extraction into a per-foot price when the page prices the item
+ * by length, by the same rule as prices read from the markup (see getLengthPricing)
+ * @param {Object} extraction - Extraction (see normalizeExtraction) with the price and unit as listed
+ * @returns {Object} Extraction with perFoot, totalFeet and, for items priced by length, the per-foot price
+ */
+export function applyLengthPricing(extraction) {
+  const { perFoot, totalFeet, divisor } = getLengthPricing(extraction);
+
+  return {
+    ...extraction,
+    price: extraction.price !== null && divisor > 1 ? Math.round((extraction.price / divisor) * 100) / 100 : extraction.price,
+    unitOfMeasure: perFoot ? 'ft' : extraction.unitOfMeasure,
+    perFoot,
+    totalFeet
+  };
+}
+
+/**
+ * Base class for vision providers. A provider reads the price of a product from
+ * a screenshot of its page, the way the scraper reads it from the markup when it
+ * can. Register new providers in src/services/vision.js.
+ */
+export class VisionProvider {
+  /**
+   * @param {Object} config - Provider configuration
+   * @param {string} config.key - Stable identifier used in VISION_PROVIDERS and on extractions
+   * @param {string} config.name - Display name
+   * @param {boolean} [config.requiresAgreement=false] - Only trust this provider's prices when another
+   *   provider reads the same price (e.g. OCR, which can't tell the current price from others on the page)
+   */
+  constructor(config) {
+    this.key = config.key;
+    this.name = config.name;
+    this.requiresAgreement = config.requiresAgreement || false;
+  }
+
+  /**
+   * Whether the provider is configured (API key set, library installed)
+   * @returns {boolean} Whether extractions can be sent to this provider
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Extract price details from a screenshot
+   * @param {string} screenshotPath - Path to the screenshot file (the buy box, or the whole page)
+   * @param {string} productName - Name of the product (for context)
+   * @param {Object} [options] - Extraction options
+   * @param {string} [options.hint] - Vendor-specific instruction, e.g. which of several prices to pick
+   * @param {string} [options.titleScreenshotPath] - Screenshot of the product title
+   * @returns {Promise<Object|null>} Extraction (see normalizeExtraction) with a null price when no price
+   *   was found, or null if the screenshot could not be analyzed
+   * @throws {Error} If the provider failed, e.g. the API could not be reached
+   */
+  async extract(screenshotPath, productName, options = {}) {
+    throw new Error(`${this.name} provider does not implement extract`);
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encryptJson, decryptJson, isEncrypted } from '../src/utils/encryption.js';
+
+const MASTER_KEY = 'correct horse battery staple';
+
+describe('encryption', () => {
+  const value = { vendor: 'ferguson', accounts: [{ id: 'main', username: 'buyer@example.com', password: 'p@ss wörd' }] };
+
+  it('decrypts what it encrypted', () => {
+    const payload = encryptJson(value, MASTER_KEY);
+
+    assert.equal(isEncrypted(payload), true);
+    assert.deepEqual(decryptJson(JSON.parse(JSON.stringify(payload)), MASTER_KEY), value);
+  });
+
+  it('does not write the value in plaintext', () => {
+    const payload = encryptJson(value, MASTER_KEY);
+
+    assert.equal(JSON.stringify(payload).includes('buyer@example.com'), false);
+  });
+
+  it('uses a new salt and IV for every payload', () => {
+    const first = encryptJson(value, MASTER_KEY);
+    const second = encryptJson(value, MASTER_KEY);
+
+    assert.notEqual(first.salt, second.salt);
+    assert.notEqual(first.iv, second.iv);
+    assert.notEqual(first.data, second.data);
+  });
+
+  it('rejects a wrong master key', () => {
+    const payload = encryptJson(value, MASTER_KEY);
+
+    assert.throws(() => decryptJson(payload, 'wrong key'), /wrong master key/);
+  });
+
+  it('rejects tampered data', () => {
+    const payload = encryptJson(value, MASTER_KEY);
+    const data = Buffer.from(payload.data, 'base64');
+    data[0] ^= 1;
+
+    assert.throws(() => decryptJson({ ...payload, data: data.toString('base64') }, MASTER_KEY), /corrupted/);
+  });
+
+  it('does not take plain session files for encrypted ones', () => {
+    assert.equal(isEncrypted({ timestamp: '2026-01-01T00:00:00.000Z', cookies: [] }), false);
+    assert.equal(isEncrypted(null), false);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import evidenceArchive from '../src/services/evidence-archive.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Move a manifest's capture time into the past
+ * @param {Object} manifest - Manifest returned by archive
+ * @param {number} days - Days ago the evidence was captured
+ * @returns {Promise<void>}
+ */
+async function backdate(manifest, days) {
+  const manifestPath = evidenceArchive.getManifestPath(manifest.runId, manifest.itemSourceId);
+  const saved = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+
+  saved.capturedAt = new Date(Date.now() - days * DAY).toISOString();
+  await fs.writeFile(manifestPath, JSON.stringify(saved), 'utf-8');
+}
+
+describe('evidence archive', () => {
+  let tempDir;
+
+  before(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'evidence-test-'));
+  });
+
+  after(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    // Never touch the real evidence directory
+    evidenceArchive.archiveDir = path.join(tempDir, `archive-${Date.now()}`);
+    evidenceArchive.retentionDays = 90;
+    evidenceArchive.maxSizeBytes = 0;
+  });
+
+  it('stores the same page once and finds the evidence of a run', async () => {
+    const first = await evidenceArchive.archive({ itemSourceId: 'src-1', runId: 'run-1', url: 'https://example.com/1', html: '<span>$9.99</span>' });
+    const second = await evidenceArchive.archive({ itemSourceId: 'src-2', runId: 'run-1', url: 'https://example.com/2', html: '<span>$9.99</span>' });
+
+    assert.equal(first.html, second.html);
+    assert.equal((await evidenceArchive.getEvidence('run-1', 'src-1')).url, 'https://example.com/1');
+    assert.equal(await evidenceArchive.getEvidence('run-2', 'src-1'), null);
+    assert.equal(await evidenceArchive.archive({ itemSourceId: 'src-3', url: 'https://example.com/3' }), null);
+  });
+
+  it('prunes evidence past its retention but keeps the latest of each item source', async () => {
+    const old = await evidenceArchive.archive({ itemSourceId: 'src-1', runId: 'run-1', url: 'https://example.com/1', html: 'old price' });
+    const oldOnly = await evidenceArchive.archive({ itemSourceId: 'src-2', runId: 'run-1', url: 'https://example.com/2', html: 'only price' });
+    await evidenceArchive.archive({ itemSourceId: 'src-1', runId: 'run-2', url: 'https://example.com/1', html: 'new price' });
+    await backdate(old, 100);
+    await backdate(oldOnly, 100);
+
+    const pruned = await evidenceArchive.prune();
+
+    assert.deepEqual(pruned, { manifests: 1, blobs: 1 });
+    assert.equal(await evidenceArchive.getEvidence('run-1', 'src-1'), null);
+    assert.notEqual(await evidenceArchive.getEvidence('run-1', 'src-2'), null);
+    assert.notEqual(await evidenceArchive.getEvidence('run-2', 'src-1'), null);
+    await assert.rejects(fs.access(path.join(evidenceArchive.archiveDir, old.html)));
+  });
+
+  it('prunes the oldest evidence while the archive is too big', async () => {
+    const oldest = await evidenceArchive.archive({ itemSourceId: 'src-1', runId: 'run-1', url: 'https://example.com/1', html: 'a'.repeat(600) });
+    const older = await evidenceArchive.archive({ itemSourceId: 'src-1', runId: 'run-2', url: 'https://example.com/1', html: 'b'.repeat(600) });
+    await evidenceArchive.archive({ itemSourceId: 'src-1', runId: 'run-3', url: 'https://example.com/1', html: 'c'.repeat(600) });
+    await backdate(oldest, 3);
+    await backdate(older, 2);
+    evidenceArchive.maxSizeBytes = 1500;
+
+    const pruned = await evidenceArchive.prune();
+
+    assert.deepEqual(pruned, { manifests: 1, blobs: 1 });
+    assert.equal(await evidenceArchive.getEvidence('run-1', 'src-1'), null);
+    assert.notEqual(await evidenceArchive.getEvidence('run-2', 'src-1'), null);
+  });
+
+  it('only resolves blob paths inside the archive', () => {
+    assert.equal(evidenceArchive.resolveBlob('blobs/ab/abc.jpg'), path.join(evidenceArchive.archiveDir, 'blobs/ab/abc.jpg'));
+    assert.equal(evidenceArchive.resolveBlob('../state/request-budget.json'), null);
+    assert.equal(evidenceArchive.resolveBlob('runs/run-1/src-1.json'), null);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  summarizePrices,
+  percentChangeSince,
+  buildPriceTrend,
+  buildPriceTrendsBy,
+  averagePercentChange
+} from '../src/utils/price-stats.js';
+
+/**
+ * Build a price history entry
+ * @param {string} day - Day of January 2026 the price was recorded (e.g. '05')
+ * @param {number} priceWithTax - Price with tax
+ * @param {string} [sourceId] - Vendor ID
+ * @returns {Object} Price history entry
+ */
+function entry(day, priceWithTax, sourceId = 'hd') {
+  return {
+    recorded_at: `2026-01-${day}T12:00:00.000Z`,
+    item_source_id: `${sourceId}-1`,
+    item_id: 'pipe',
+    source_id: sourceId,
+    sources: { id: sourceId, name: sourceId.toUpperCase() },
+    sale_price: priceWithTax,
+    price_with_tax: String(priceWithTax),
+    per_foot: false,
+    run_id: null
+  };
+}
+
+describe('summarizePrices', () => {
+  it('calculates min, max, average, first and latest', () => {
+    const stats = summarizePrices([entry('01', 10), entry('02', 14.555), entry('03', 12)]);
+
+    assert.deepEqual(stats, { count: 3, min: 10, max: 14.56, average: 12.19, first: 10, latest: 12 });
+  });
+
+  it('returns nulls without entries', () => {
+    assert.deepEqual(summarizePrices([]), { count: 0, min: null, max: null, average: null, first: null, latest: null });
+  });
+});
+
+describe('percentChangeSince', () => {
+  const entries = [entry('01', 10), entry('05', 12), entry('10', 15)];
+
+  it('compares the latest price with the last one at or before the date', () => {
+    const change = percentChangeSince(entries, new Date('2026-01-06T00:00:00.000Z'));
+
+    assert.equal(change.basePrice, 12);
+    assert.equal(change.latestPrice, 15);
+    assert.equal(change.percentChange, 25);
+  });
+
+  it('uses the first price when there is none before the date', () => {
+    const change = percentChangeSince(entries, new Date('2025-12-01T00:00:00.000Z'));
+
+    assert.equal(change.basePrice, 10);
+    assert.equal(change.percentChange, 50);
+  });
+
+  it('returns null without entries', () => {
+    assert.equal(percentChangeSince([], new Date()), null);
+  });
+});
+
+describe('buildPriceTrend', () => {
+  it('limits the series and statistics to the window but not the change', () => {
+    const trend = buildPriceTrend([entry('01', 10), entry('05', 12), entry('10', 15)], {
+      from: new Date('2026-01-04T00:00:00.000Z'),
+      since: new Date('2026-01-01T00:00:00.000Z')
+    });
+
+    assert.equal(trend.series.length, 2);
+    assert.equal(trend.series[0].vendorName, 'HD');
+    assert.equal(trend.stats.min, 12);
+    assert.equal(trend.change.basePrice, 10);
+  });
+});
+
+describe('buildPriceTrendsBy', () => {
+  it('builds one trend per vendor and averages their changes', () => {
+    const options = { from: new Date('2026-01-01T00:00:00.000Z'), since: new Date('2026-01-01T12:00:00.000Z') };
+    const trends = buildPriceTrendsBy([
+      entry('01', 10, 'hd'),
+      entry('01', 20, 'lowes'),
+      entry('05', 11, 'hd'),
+      entry('05', 18, 'lowes')
+    ], 'source_id', options);
+
+    assert.deepEqual(Object.keys(trends), ['hd', 'lowes']);
+    assert.equal(trends.hd.change.percentChange, 10);
+    assert.equal(trends.lowes.change.percentChange, -10);
+    assert.equal(averagePercentChange(Object.values(trends)), 0);
+  });
+
+  it('has no average change without changes', () => {
+    assert.equal(averagePercentChange([{ change: null }]), null);
+  });
+});
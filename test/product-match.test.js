@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeSku,
+  tokenizeTitle,
+  titleMatchScore,
+  verifyProductIdentity
+} from '../src/utils/product-match.js';
+
+const THRESHOLD = 0.5;
+
+describe('normalizeSku', () => {
+  it('keeps only lowercase letters and digits', () => {
+    assert.equal(normalizeSku('ABC-123 / x'), 'abc123x');
+    assert.equal(normalizeSku(null), '');
+  });
+});
+
+describe('tokenizeTitle', () => {
+  it('keeps sizes together and drops stop words', () => {
+    assert.deepEqual(tokenizeTitle('3/4 in. x 1.5 ft. Copper Pipe for the Kitchen'), ['3/4', '1.5', 'ft', 'copper', 'pipe', 'kitchen']);
+  });
+});
+
+describe('titleMatchScore', () => {
+  it('scores the share of the material name found in the page title', () => {
+    assert.equal(titleMatchScore('3/4 Copper Ball Valve', 'SharkBite 3/4 in. Brass Ball Valve'), 0.75);
+  });
+
+  it('scores 0 for a material name without words', () => {
+    assert.equal(titleMatchScore('', 'Ball Valve'), 0);
+  });
+});
+
+describe('verifyProductIdentity', () => {
+  const materialItem = { name: '1/2 in. PEX Ball Valve', sku: 'PXV-1234' };
+
+  it('matches on the SKU whatever the title says', () => {
+    const identity = verifyProductIdentity(materialItem, { productTitle: 'Something else', productSku: 'pxv1234' }, THRESHOLD);
+
+    assert.equal(identity.status, 'matched');
+    assert.equal(identity.skuMatched, true);
+  });
+
+  it('matches a SKU that is part of a longer vendor SKU or of the title', () => {
+    assert.equal(verifyProductIdentity(materialItem, { productSku: 'PXV-1234-LF' }, THRESHOLD).status, 'matched');
+    assert.equal(verifyProductIdentity(materialItem, { productTitle: 'Valve PXV-1234' }, THRESHOLD).status, 'matched');
+  });
+
+  it('does not match short SKUs partially', () => {
+    const identity = verifyProductIdentity({ name: 'Elbow', sku: 'E1' }, { productTitle: 'Coupling', productSku: 'E12' }, THRESHOLD);
+
+    assert.equal(identity.skuMatched, false);
+    assert.equal(identity.status, 'mismatch');
+  });
+
+  it('matches on the title when the vendor uses its own item number', () => {
+    const identity = verifyProductIdentity(materialItem, { productTitle: 'Apollo 1/2 in. PEX Ball Valve', productSku: '1002345' }, THRESHOLD);
+
+    assert.equal(identity.status, 'matched');
+    assert.equal(identity.titleScore, 1);
+  });
+
+  it('flags a page that shows a different product', () => {
+    const identity = verifyProductIdentity(materialItem, { productTitle: '25 ft. Tape Measure' }, THRESHOLD);
+
+    assert.equal(identity.status, 'mismatch');
+    assert.match(identity.reason, /Tape Measure/);
+  });
+
+  it('cannot verify a page without a title or SKU', () => {
+    assert.equal(verifyProductIdentity(materialItem, {}, THRESHOLD).status, 'unverified');
+  });
+});
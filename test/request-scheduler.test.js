@@ -0,0 +1,55 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import requestScheduler from '../src/services/request-scheduler.js';
+
+// A site without a vendor adapter, paced by the SCRAPER_* settings
+const SITE = 'example.com';
+
+describe('request scheduler', () => {
+  beforeEach(() => {
+    process.env.SCRAPER_REQUESTS_PER_MINUTE = '600';
+    process.env.SCRAPER_DAILY_REQUEST_BUDGET = '2';
+    process.env.SCRAPER_JITTER = '0';
+
+    // Start from an empty budget and never write it to state/
+    requestScheduler.sites = new Map();
+    requestScheduler.budget = { date: new Date().toISOString().slice(0, 10), counts: {} };
+    requestScheduler.loaded = true;
+    requestScheduler.saveBudget = async () => {};
+  });
+
+  it('counts requests against the daily budget and refuses them once it is used up', async () => {
+    assert.equal(await requestScheduler.waitForTurn(SITE), true);
+    assert.equal(await requestScheduler.waitForTurn(SITE), true);
+    assert.equal(await requestScheduler.getRemainingBudget(SITE), 0);
+    assert.equal(await requestScheduler.waitForTurn(SITE), false);
+    assert.equal(requestScheduler.budget.counts[SITE], 2);
+  });
+
+  it('spaces requests to a site at its pace', async () => {
+    await requestScheduler.waitForTurn(SITE);
+    const start = Date.now();
+    await requestScheduler.waitForTurn(SITE);
+
+    assert.ok(Date.now() - start >= 90, 'the second request waits about 100 ms');
+  });
+
+  it('starts a new day with the full budget', async () => {
+    requestScheduler.budget = { date: '2020-01-01', counts: { [SITE]: 2 } };
+
+    assert.equal(await requestScheduler.getRemainingBudget(SITE), 2);
+  });
+
+  it('slows a site down after a bot challenge and speeds it up after requests go through', () => {
+    requestScheduler.reportError(SITE, 'challenge');
+    requestScheduler.reportError(SITE, 'challenge');
+    requestScheduler.reportError(SITE);
+    assert.equal(requestScheduler.getSite(SITE).slowdown, 16);
+
+    for (let i = 0; i < 5; i++) {
+      requestScheduler.reportSuccess(SITE);
+    }
+
+    assert.equal(requestScheduler.getSite(SITE).slowdown, 8);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePriceText,
+  parseTotalFeet,
+  parsePriceUnit,
+  getLengthPricing,
+  extractStructuredPrice
+} from '../src/utils/structured-price.js';
+
+/**
+ * Build the contents of a ld+json script tag for a product
+ * @param {Object} offer - Offer fields
+ * @param {string} name - Product name
+ * @returns {Array<string>} Script contents
+ */
+function jsonLdProduct(offer, name) {
+  return [JSON.stringify({ '@context': 'https://schema.org', '@type': 'Product', name, sku: 'ABC-123', offers: offer })];
+}
+
+describe('parsePriceText', () => {
+  it('reads dollars and cents', () => {
+    assert.equal(parsePriceText('$1,234.56'), 1234.56);
+    assert.equal(parsePriceText('19.9'), 19.9);
+  });
+
+  it('reads cents rendered as superscript', () => {
+    assert.equal(parsePriceText('$ 19 98'), 19.98);
+  });
+
+  it('reads a price whose parts were joined with spaces', () => {
+    assert.equal(parsePriceText('$ 19 . 98'), 19.98);
+    assert.equal(parsePriceText('$ 1,234 .56'), 1234.56);
+  });
+
+  it('returns null for text without a price', () => {
+    assert.equal(parsePriceText('Call for price'), null);
+    assert.equal(parsePriceText(0), null);
+    assert.equal(parsePriceText(null), null);
+  });
+});
+
+describe('parseTotalFeet', () => {
+  it('reads the length from a title', () => {
+    assert.equal(parseTotalFeet("50' Coil"), 50);
+    assert.equal(parseTotalFeet('2 in. x 10 ft. Pipe'), 10);
+  });
+
+  it('reads the last dimension as the length', () => {
+    assert.equal(parseTotalFeet("12' x 100' 6 mil Poly Sheeting"), 100);
+  });
+
+  it('returns 0 for a title without a length', () => {
+    assert.equal(parseTotalFeet('1/2 in. Brass Ball Valve'), 0);
+  });
+});
+
+describe('parsePriceUnit', () => {
+  it('reads the unit after the price', () => {
+    assert.equal(parsePriceUnit('$1.99/ft'), 'ft');
+    assert.equal(parsePriceUnit('$89.00 per roll'), 'roll');
+  });
+
+  it('returns null when the price names no unit', () => {
+    assert.equal(parsePriceUnit('$24.97'), null);
+  });
+});
+
+describe('getLengthPricing', () => {
+  it('keeps a price quoted per foot', () => {
+    assert.deepEqual(getLengthPricing({ productTitle: "50' Coil", unitOfMeasure: '/ft.' }), { perFoot: true, totalFeet: 0, divisor: 1 });
+    assert.equal(getLengthPricing({ unitOfMeasure: 'per linear foot' }).perFoot, true);
+    assert.equal(getLengthPricing({ unitOfMeasure: 'FOT' }).perFoot, true);
+  });
+
+  it('divides the price of a roll by its length', () => {
+    assert.deepEqual(getLengthPricing({ productTitle: "12' x 100' Poly Sheeting", unitOfMeasure: 'roll' }), { perFoot: true, totalFeet: 100, divisor: 100 });
+  });
+
+  it('ignores a length in the title when the item is sold by the piece', () => {
+    assert.deepEqual(getLengthPricing({ productTitle: '25 ft. Tape Measure' }), { perFoot: false, totalFeet: 0, divisor: 1 });
+    assert.deepEqual(getLengthPricing({ productTitle: '6 ft. Fiberglass Step Ladder', unitOfMeasure: 'each' }), { perFoot: false, totalFeet: 0, divisor: 1 });
+  });
+});
+
+describe('extractStructuredPrice', () => {
+  it('reads the price of a JSON-LD product', () => {
+    const extraction = extractStructuredPrice({
+      jsonLd: jsonLdProduct({ '@type': 'Offer', price: '24.97', priceCurrency: 'usd', availability: 'https://schema.org/InStock' }, 'Pipe Wrench')
+    });
+
+    assert.equal(extraction.method, 'json-ld');
+    assert.equal(extraction.price, 24.97);
+    assert.equal(extraction.currency, 'USD');
+    assert.equal(extraction.stockStatus, 'in_stock');
+    assert.equal(extraction.productSku, 'ABC-123');
+    assert.equal(extraction.confidence, 0.95);
+  });
+
+  it('follows @graph and skips broken JSON-LD', () => {
+    const extraction = extractStructuredPrice({
+      jsonLd: ['{ broken', JSON.stringify({ '@graph': [{ '@type': 'WebPage' }, { '@type': ['Product'], name: 'Valve', offers: [{ lowPrice: 9.5 }] }] })]
+    });
+
+    assert.equal(extraction.price, 9.5);
+    assert.equal(extraction.productTitle, 'Valve');
+  });
+
+  it('does not divide the price of a tape measure or ladder by its length', () => {
+    const tapeMeasure = extractStructuredPrice({ jsonLd: jsonLdProduct({ price: '19.97' }, '25 ft. Tape Measure') });
+    const ladder = extractStructuredPrice({ microdata: { price: '$149.00', title: '6 ft. Fiberglass Step Ladder' } });
+
+    assert.equal(tapeMeasure.price, 19.97);
+    assert.equal(tapeMeasure.perFoot, false);
+    assert.equal(tapeMeasure.totalFeet, 0);
+    assert.equal(ladder.price, 149);
+    assert.equal(ladder.perFoot, false);
+  });
+
+  it('does not divide the price of a sheet by its width or length unless it is sold by the roll', () => {
+    const title = "12' x 100' 6 mil Poly Sheeting";
+    const each = extractStructuredPrice({ selectors: { price: '$120.00', title } });
+    const roll = extractStructuredPrice({
+      jsonLd: jsonLdProduct({ price: '120.00', priceSpecification: { unitText: 'roll' } }, title)
+    });
+
+    assert.equal(each.price, 120);
+    assert.equal(each.perFoot, false);
+    assert.equal(roll.price, 1.2);
+    assert.equal(roll.perFoot, true);
+    assert.equal(roll.totalFeet, 100);
+    assert.equal(roll.unitOfMeasure, 'ft');
+  });
+
+  it('keeps a price the page quotes per foot', () => {
+    const extraction = extractStructuredPrice({ selectors: { price: '$1.99 /ft.', title: "1/2 in. x 100' PEX Tubing" } });
+
+    assert.equal(extraction.method, 'selector');
+    assert.equal(extraction.price, 1.99);
+    assert.equal(extraction.perFoot, true);
+    assert.equal(extraction.unitOfMeasure, 'ft');
+  });
+
+  it('prefers the configured price option', () => {
+    const extraction = extractStructuredPrice({
+      selectors: { price: '$3.10' },
+      priceOptions: { inStore: '$2.48', delivery: '$3.10' },
+      preferredPriceOption: 'inStore'
+    });
+
+    assert.equal(extraction.price, 2.48);
+    assert.equal(extraction.priceOption, 'inStore');
+    assert.deepEqual(extraction.priceOptions, { inStore: 2.48, delivery: 3.1 });
+  });
+
+  it('returns null when a required price option is missing', () => {
+    const extraction = extractStructuredPrice({
+      selectors: { price: '$3.10' },
+      preferredPriceOption: 'contract',
+      requirePreferredPriceOption: true
+    });
+
+    assert.equal(extraction, null);
+  });
+
+  it('returns null for a page without a price', () => {
+    assert.equal(extractStructuredPrice({ pageTitle: 'Page not found' }), null);
+  });
+});
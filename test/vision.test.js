@@ -0,0 +1,169 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import visionService from '../src/services/vision.js';
+import geminiProvider from '../src/vision/gemini.js';
+import { VisionProvider, normalizeExtraction } from '../src/vision/vision-provider.js';
+import { extractStructuredPrice } from '../src/utils/structured-price.js';
+
+/**
+ * Vision provider that answers with a fixed extraction
+ */
+class StubProvider extends VisionProvider {
+  constructor(key, answer, config = {}) {
+    super({ key, name: key, ...config });
+    this.answer = answer;
+    this.calls = 0;
+  }
+
+  async extract() {
+    this.calls++;
+
+    if (this.answer instanceof Error) {
+      throw this.answer;
+    }
+
+    return this.answer && normalizeExtraction(this.answer, this.key === 'ocr' ? 'ocr' : 'vision');
+  }
+}
+
+/**
+ * Replace the registered providers with stubs, tried in the given order
+ * @param {Array<StubProvider>} providers - Stub providers
+ */
+function useProviders(...providers) {
+  visionService.providers = [];
+  visionService.order = providers.map(provider => provider.key);
+  providers.forEach(provider => visionService.register(provider));
+}
+
+describe('vision service', () => {
+  beforeEach(() => {
+    visionService.fallbackConfidence = 0.7;
+    visionService.agreementMinPrice = 0;
+  });
+
+  it('uses the first confident price without asking the other providers', async () => {
+    const first = new StubProvider('first', { price: 12.5, confidence: 0.9 });
+    const second = new StubProvider('second', { price: 13, confidence: 0.95 });
+    useProviders(first, second);
+
+    const extraction = await visionService.extractPriceFromImage('shot.png', 'Valve');
+
+    assert.equal(extraction.price, 12.5);
+    assert.equal(extraction.provider, 'first');
+    assert.equal(extraction.agreement, undefined);
+    assert.equal(second.calls, 0);
+  });
+
+  it('falls back when a provider fails or is unsure and keeps the most confident price', async () => {
+    const failing = new StubProvider('failing', new Error('quota exceeded'));
+    const unsure = new StubProvider('unsure', { price: 12.5, confidence: 0.4 });
+    const better = new StubProvider('better', { price: 12.75, confidence: 0.6 });
+    useProviders(failing, unsure, better);
+
+    const extraction = await visionService.extractPriceFromImage('shot.png', 'Valve');
+
+    assert.equal(extraction.provider, 'better');
+    assert.equal(extraction.confidence, 0.6);
+  });
+
+  it('returns null when no provider could read the screenshot', async () => {
+    useProviders(new StubProvider('empty', null));
+
+    assert.equal(await visionService.extractPriceFromImage('shot.png', 'Valve'), null);
+  });
+
+  it('confirms a high-value price with a second provider', async () => {
+    const first = new StubProvider('first', { price: 1250, confidence: 0.8 });
+    const second = new StubProvider('second', { price: 1251, confidence: 0.9 });
+    useProviders(first, second);
+    visionService.agreementMinPrice = 500;
+
+    const extraction = await visionService.extractPriceFromImage('shot.png', 'Water Heater');
+
+    assert.equal(extraction.price, 1250);
+    assert.equal(extraction.confidence, 0.9);
+    assert.deepEqual(extraction.agreement, { agreed: true, providers: ['first', 'second'], prices: [1250, 1251] });
+  });
+
+  it('holds a high-value price for review when the second provider disagrees', async () => {
+    useProviders(
+      new StubProvider('first', { price: 1250, confidence: 0.8 }),
+      new StubProvider('second', { price: 125, confidence: 0.9 })
+    );
+    visionService.agreementMinPrice = 500;
+
+    const extraction = await visionService.extractPriceFromImage('shot.png', 'Water Heater');
+
+    assert.equal(extraction.confidence, 0);
+    assert.equal(extraction.agreement.agreed, false);
+    assert.deepEqual(extraction.agreement.prices, [1250, 125]);
+  });
+
+  it('holds an OCR price for review when no other provider reads it', async () => {
+    useProviders(new StubProvider('ocr', { price: 3.5, confidence: 0.6 }, { requiresAgreement: true }));
+
+    const extraction = await visionService.extractPriceFromImage('shot.png', 'Coupling');
+
+    assert.equal(extraction.price, 3.5);
+    assert.equal(extraction.confidence, 0);
+    assert.deepEqual(extraction.agreement, { agreed: false, providers: ['ocr'], prices: [3.5] });
+  });
+
+  it('accepts an OCR price another provider agrees with', async () => {
+    useProviders(
+      new StubProvider('ocr', { price: 3.5, confidence: 0.6 }, { requiresAgreement: true }),
+      new StubProvider('model', { price: 3.5, confidence: 0.5 })
+    );
+
+    const extraction = await visionService.extractPriceFromImage('shot.png', 'Coupling');
+
+    assert.equal(extraction.provider, 'ocr');
+    assert.equal(extraction.confidence, 0.6);
+    assert.equal(extraction.agreement.agreed, true);
+  });
+});
+
+describe('length pricing of vision extractions', () => {
+  /**
+   * Read a price the way the page markup and the vision model report it
+   * @param {string} title - Product title
+   * @param {string} listedPrice - Price as the page lists it
+   * @param {string|null} unit - Unit the page lists the price for
+   * @returns {Object} Markup and vision extraction
+   */
+  function readBothWays(title, listedPrice, unit) {
+    const markup = extractStructuredPrice({
+      jsonLd: [JSON.stringify({
+        '@type': 'Product',
+        name: title,
+        offers: { price: listedPrice, ...(unit ? { priceSpecification: { unitText: unit } } : {}) }
+      })]
+    });
+    const vision = geminiProvider.parseResponse(JSON.stringify({
+      price: parseFloat(listedPrice),
+      unitOfMeasure: unit || 'each',
+      productTitle: title,
+      confidence: 0.9
+    }));
+
+    return { markup, vision };
+  }
+
+  it('records the same price for a 10ft PVC pipe as the markup does', () => {
+    const { markup, vision } = readBothWays('2 in. x 10ft White Schedule 40 PVC', '19.90', null);
+
+    assert.equal(vision.price, 19.9);
+    assert.equal(vision.price, markup.price);
+    assert.equal(vision.perFoot, markup.perFoot);
+  });
+
+  it('divides the price of a coil by its length like the markup does', () => {
+    const { markup, vision } = readBothWays("5/8 in. OD x 50' Copper Tubing Coil", '75.00', 'coil');
+
+    assert.equal(vision.price, 1.5);
+    assert.equal(vision.price, markup.price);
+    assert.equal(vision.perFoot, true);
+    assert.equal(vision.totalFeet, markup.totalFeet);
+  });
+});